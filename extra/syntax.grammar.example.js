@@ -0,0 +1,142 @@
+/**
+ * @summary Example grammar syntax definition file for a-code web component
+ * @description JavaScript written in the grammar format: a state machine whose
+ *              states push and pop, so template literals highlight the code
+ *              inside `${}` and keywords inside strings or comments are skipped.
+ *              The bundled syntax.javascript.js keeps the layered format.
+ *
+ *              Use it with highlight="./path/to/syntax.grammar.example.js", or
+ *              register it: ACode.registerSyntax('javascript', grammar, { aliases: ['js'] }).
+ *
+ *  @author Holmes Bryant <https://github.com/HolmesBryant>
+ *  @license GPL-3.0
+ */
+const keywords = [
+	// --- Control Flow & Reserved Words ---
+	'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+	'debugger', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends',
+	'false', 'finally', 'for', 'from', 'function', 'get', 'if', 'implements',
+	'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'of',
+	'package', 'private', 'protected', 'public', 'return', 'set', 'static',
+	'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined',
+	'var', 'void', 'while', 'with', 'yield',
+
+	// --- Core ECMA Global Objects & Types ---
+	'AggregateError', 'Array', 'ArrayBuffer', 'AsyncFunction', 'Atomics',
+	'BigInt', 'BigInt64Array', 'BigUint64Array', 'Boolean', 'DataView',
+	'Date', 'Error', 'EvalError', 'FinalizationRegistry', 'Float32Array',
+	'Float64Array', 'Function', 'Generator', 'GeneratorFunction', 'Infinity',
+	'Int16Array', 'Int32Array', 'Int8Array', 'InternalError', 'Intl', 'JSON',
+	'Map', 'Math', 'NaN', 'Number', 'Object', 'Promise', 'Proxy', 'RangeError',
+	'ReferenceError', 'Reflect', 'RegExp', 'Set', 'SharedArrayBuffer', 'String',
+	'Symbol', 'SyntaxError', 'TypeError', 'Uint16Array', 'Uint32Array',
+	'Uint8Array', 'Uint8ClampedArray', 'URIError', 'WeakMap', 'WeakRef',
+	'WeakSet', 'WebAssembly',
+
+	// --- Common Web API Globals (Instances) ---
+	'alert', 'caches', 'clearInterval', 'clearTimeout', 'console', 'crypto',
+	'document', 'fetch', 'globalThis', 'history', 'indexedDB', 'localStorage',
+	'location', 'matchMedia', 'module', 'navigator', 'performance', 'process',
+	'prompt', 'queueMicrotask', 'requestAnimationFrame', 'require', 'screen',
+	'sessionStorage', 'setInterval', 'setTimeout', 'window',
+
+	// --- Common DOM Interfaces & Constructors ---
+	'AbortController', 'AbortSignal', 'Audio', 'AudioTrack', 'AudioTrackList',
+	'Blob', 'BroadcastChannel', 'ByteLengthQueuingStrategy', 'CanvasGradient',
+	'CanvasPattern', 'CanvasRenderingContext2D', 'CharacterData', 'CloseWatcher',
+	'Comment', 'CountQueuingStrategy', 'crypto', 'CustomElementRegistry',
+	'CustomEvent', 'DataTransfer', 'DataTransferItem', 'DataTransferItemList',
+	'Document', 'DOMException', 'DOMMatrix', 'DOMMatrixReadOnly', 'DOMParser',
+	'DOMPoint', 'DOMPointReadOnly', 'DOMQuad', 'DOMRect', 'DOMRectReadOnly',
+	'DOMStringList', 'DOMStringMap', 'DOMTokenList', 'DragEvent', 'Element',
+	'ElementInternals', 'Event', 'EventSource', 'EventTarget', 'File', 'FileList',
+	'FileReader', 'FormData', 'FormDataEvent', 'HashChangeEvent', 'Headers',
+	'History', 'HTMLAllCollection', 'HTMLAnchorElement', 'HTMLAreaElement',
+	'HTMLAudioElement', 'HTMLBaseElement', 'HTMLBodyElement', 'HTMLBRElement',
+	'HTMLButtonElement', 'HTMLCanvasElement', 'HTMLCollection', 'HTMLDataElement',
+	'HTMLDataListElement', 'HTMLDetailsElement', 'HTMLDialogElement',
+	'HTMLDirectoryElement', 'HTMLDivElement', 'HTMLDListElement', 'HTMLElement',
+	'HTMLEmbedElement', 'HTMLFieldSetElement', 'HTMLFontElement',
+	'HTMLFormControlsCollection', 'HTMLFormElement', 'HTMLFrameElement',
+	'HTMLFrameSetElement', 'HTMLHeadElement', 'HTMLHeadingElement', 'HTMLHRElement',
+	'HTMLHtmlElement', 'HTMLIFrameElement', 'HTMLImageElement', 'HTMLInputElement',
+	'HTMLLabelElement', 'HTMLLegendElement', 'HTMLLIElement', 'HTMLLinkElement',
+	'HTMLMapElement', 'HTMLMarqueeElement', 'HTMLMediaElement', 'HTMLMenuElement',
+	'HTMLMetaElement', 'HTMLMeterElement', 'HTMLModElement', 'HTMLObjectElement',
+	'HTMLOListElement', 'HTMLOptGroupElement', 'HTMLOptionElement',
+	'HTMLOptionsCollection', 'HTMLOutputElement', 'HTMLParagraphElement',
+	'HTMLParamElement', 'HTMLPictureElement', 'HTMLPreElement', 'HTMLProgressElement',
+	'HTMLQuoteElement', 'HTMLScriptElement', 'HTMLSelectElement', 'HTMLSlotElement',
+	'HTMLSourceElement', 'HTMLSpanElement', 'HTMLStyleElement',
+	'HTMLTableCaptionElement', 'HTMLTableCellElement', 'HTMLTableColElement',
+	'HTMLTableElement', 'HTMLTableRowElement', 'HTMLTableSectionElement',
+	'HTMLTemplateElement', 'HTMLTextAreaElement', 'HTMLTimeElement',
+	'HTMLTitleElement', 'HTMLTrackElement', 'HTMLUListElement',
+	'HTMLUnknownElement', 'HTMLVideoElement', 'Image', 'ImageBitmap',
+	'ImageBitmapRenderingContext', 'ImageData', 'IntersectionObserver',
+	'IntersectionObserverEntry', 'KeyboardEvent', 'Location', 'MediaError',
+	'MessageChannel', 'MessageEvent', 'MessagePort', 'MimeType', 'MimeTypeArray',
+	'MouseEvent', 'MutationObserver', 'MutationRecord', 'NamedNodeMap',
+	'NavigateEvent', 'Navigation', 'NavigationActivation', 'NavigationCurrentEntryChangeEvent',
+	'NavigationDestination', 'NavigationHistoryEntry', 'NavigationTransition',
+	'Navigator', 'Node', 'NodeIterator', 'NodeList', 'OffscreenCanvas',
+	'OffscreenCanvasRenderingContext2D', 'PageRevealEvent', 'PageTransitionEvent',
+	'Path2D', 'Performance', 'PerformanceEntry', 'PerformanceMark', 'PerformanceMeasure',
+	'PerformanceObserver', 'PerformanceObserverEntryList', 'PerformanceResourceTiming',
+	'Plugin', 'PluginArray', 'PopStateEvent', 'PromiseRejectionEvent', 'RadioNodeList',
+	'Range', 'ReadableStream', 'Request', 'ResizeObserver', 'ResizeObserverEntry',
+	'Response', 'Screen', 'ShadowRoot', 'SharedWorker', 'SharedWorkerGlobalScope',
+	'Storage', 'StorageEvent', 'SubmitEvent', 'SVGImageElement', 'Text',
+	'TextDecoder', 'TextEncoder', 'TextMetrics', 'TextTrack', 'TextTrackCue',
+	'TextTrackCueList', 'TextTrackList', 'TimeRanges', 'ToggleEvent', 'Touch',
+	'TouchEvent', 'TouchList', 'TrackEvent', 'TreeWalker', 'UIEvent', 'URL',
+	'URLSearchParams', 'UserActivation', 'ValidityState', 'VideoTrack',
+	'VideoTrackList', 'VisibilityStateEntry', 'WebSocket', 'Window', 'Worker',
+	'WorkerGlobalScope', 'WorkerLocation', 'WorkerNavigator', 'Worklet',
+	'WorkletGlobalScope', 'WritableStream', 'XMLHttpRequest', 'XMLSerializer'
+];
+
+/**
+ * Rules shared by top-level code and code inside template literal interpolations.
+ */
+const code = [
+	{ type: 'comment', match: /#!.*|\/\/.*|\/\*[\s\S]*?\*\// },
+	{ type: 'string', match: /(["'])(?:\\.|(?!\1)[^\\\n])*\1/ },
+	{ type: 'string', match: '`', push: 'template' },
+	{ type: 'keyword', match: keywords },
+	// identifiers in a parenthesized list, e.g. the parameters of (a, b) => {}
+	{ type: 'argument', match: /(?<=\(\s*(?:[\w$]+\s*,\s*)*)[a-z_$][\w$]*(?=\s*(?:,\s*[\w$]+\s*)*\))/i },
+	{ type: 'function', match: /\w+\s*\(|\(|\)/ },
+	{ type: 'number', match: /\b(?:0[xob][\da-f_]+|\d[\d_]*(?:\.\d*)?(?:e[+-]?\d+)?)n?\b|\.\d+\b/i },
+	{ type: 'tag', match: /<\/?[\w-]+|(?<=[\w"])>/ },
+	{ type: 'operator', match: /[+\-*\/%=!<>&|^~?]+/ },
+];
+
+export default {
+	states: {
+		root: code,
+
+		// `text ${expression} text`
+		template: {
+			type: 'string',
+			rules: [
+				{ match: /\\./ },
+				{ type: 'variable', match: '${', push: 'interpolation' },
+				{ match: '`', pop: true },
+			],
+		},
+
+		interpolation: [
+			{ type: 'variable', match: '}', pop: true },
+			{ match: '{', push: 'block' },
+			{ include: 'root' },
+		],
+
+		// braces inside an interpolation, so their "}" does not end it
+		block: [
+			{ match: '}', pop: true },
+			{ match: '{', push: 'block' },
+			{ include: 'root' },
+		],
+	},
+};
@@ -1,26 +1,40 @@
 import terser from '@rollup/plugin-terser';
 
-export default {
-  input: 'src/a-code.js',
-  output: {
-    file: 'dist/a-code.min.js',
-    format: 'es',
-    sourcemap: false,
+const plugins = () => [
+  terser({
+    output: {
+      comments: false
+    },
+    compress: {
+      keep_infinity: true,
+      reduce_funcs: true,
+      join_vars: true,
+      keep_fnames: false
+    },
+      mangle: {
+        keep_classnames: true
+      }
+  }),
+];
+
+export default [
+  {
+    input: 'src/a-code.js',
+    output: {
+      file: 'dist/a-code.min.js',
+      format: 'es',
+      sourcemap: false,
+    },
+    plugins: plugins(),
+  },
+  {
+    // Loaded next to a-code.min.js in worker mode, with the tokenizer bundled in
+    input: 'src/tokenizer.worker.js',
+    output: {
+      file: 'dist/tokenizer.worker.js',
+      format: 'es',
+      sourcemap: false,
+    },
+    plugins: plugins(),
   },
-  plugins: [
-    terser({
-      output: {
-        comments: false
-      },
-      compress: {
-        keep_infinity: true,
-        reduce_funcs: true,
-        join_vars: true,
-        keep_fnames: false
-      },
-        mangle: {
-          keep_classnames: true
-        }
-    }),
-  ],
-};
+];
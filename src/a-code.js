@@ -5,6 +5,27 @@
  * @version 2.0.2
  */
 
+import {
+  changedRange,
+  detectSyntax,
+  flattenTokens,
+  getSyntax,
+  isRegisteredSyntax,
+  listSyntaxes,
+  loadSyntax,
+  registerSyntax,
+  retokenize,
+  spliceTokens,
+  syntaxForExtension,
+  syntaxName,
+  syntaxSettings,
+  tokenize,
+  unpackTokens,
+} from './tokenizer.js';
+import { defaultPalette, renderToHTML, splitByTokens } from './render.js';
+
+export { renderToHTML, tokenize };
+
 /**
  * A custom element that normalizes indentation and (optionally) provides syntax highlighting for code snippets.
  *
@@ -14,12 +35,54 @@
 export default class ACode extends HTMLElement {
   // -- Attributes --
 
+  /**
+   * @private
+   * @type {boolean}
+   */
+  #copy = false;
+
   /**
    * @private
    * @type {boolean}
    */
   #edit = false;
 
+  /**
+   * @private
+   * @type {boolean}
+   */
+  #disabled = false;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  #diff = false;
+
+  /**
+   * @private
+   * @type {string|null}
+   */
+  #diffFrom = null;
+
+  /**
+   * @private
+   * @type {string|null}
+   */
+  #diffTo = null;
+
+  /**
+   * @private
+   * @type {string|boolean}
+   */
+  #dimLines = false;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  #foldable = false;
+
   /**
    * @private
    * @type {string|boolean}
@@ -40,16 +103,94 @@ export default class ACode extends HTMLElement {
 
   /**
    * @private
-   * @type {boolean}
+   * @type {boolean|string}
+   */
+  #lazy = false;
+
+  /**
+   * @private
+   * @type {boolean|string}
    */
   #lineNumbers = false;
 
+  /**
+   * @private
+   * @type {number}
+   */
+  #lineStart = 1;
+
+  /**
+   * @private
+   * @type {string|null}
+   */
+  #lines = null;
+
+  /**
+   * @private
+   * @type {string|null}
+   */
+  #markLines = null;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  #maxLines = 0;
+
   /**
    * @private
    * @type {Object|null}
    */
   #palette = null;
 
+  /**
+   * @private
+   * @type {boolean}
+   */
+  #readonly = false;
+
+  /**
+   * @private
+   * @type {string|null}
+   */
+  #region = null;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  #required = false;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  #searchable = false;
+
+  /**
+   * @private
+   * @type {string|null}
+   */
+  #src = null;
+
+  /**
+   * @private
+   * @type {string|null}
+   */
+  #syntaxBase = null;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  #virtual = false;
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  #worker = false;
+
    /**
    * @private
    * @type {string}
@@ -71,132 +212,609 @@ export default class ACode extends HTMLElement {
   #contentNode;
 
   /**
+   * Line decorations, keyed by type, drawn with CSS Custom Highlights.
+   * @private
+   * @type {Map<string, Highlight>}
+   */
+  #decorations = new Map();
+
+  /**
+   * @private
+   * @type {CSSStyleSheet}
+   */
+  #decorationStyle;
+
+  /**
+   * Whether the reader has expanded past `max-lines`.
+   * @private
+   * @type {boolean}
+   */
+  #expanded = false;
+
+  /**
+   * @private
+   * @type {HTMLButtonElement}
+   */
+  #expandButton;
+
+  /**
+   * The first lines of the folded regions.
+   * @private
+   * @type {Set<number>}
+   */
+  #folded = new Set();
+
+  /**
+   * Foldable regions of the current content, mapping each region's first line to its last hidden line.
+   * @private
+   * @type {Map<number, number>|null}
+   */
+  #foldRegions = null;
+
+  /**
+   * The language picked by `highlight="auto"`.
    * @private
    * @type {string|null}
    */
-  #lastContent = null;
+  #detectedLanguage = null;
 
   /**
+   * Incremented for each language detection, so stale results are dropped.
    * @private
-   * @type {HTMLElement}
+   * @type {number}
    */
-  #lineNumberElem;
+  #detectId = 0;
 
   /**
+   * The value restored by `form.reset()`.
    * @private
-   * @type {MutationObserver}
+   * @type {string|null}
    */
-  #observer;
+  #defaultValue = null;
 
   /**
    * @private
    * @type {number}
    */
-  #updateTimeout;
+  #editFrame;
 
-  // -- Public --
+  /**
+   * A unique identifier used to name this element's highlights.
+   * @private
+   * @type {string}
+   */
+  #id = Math.random().toString(36).substring(2, 9);
 
   /**
-   * The highlighter instance used for syntax highlighting.
-   * @type {Highlighter}
+   * @private
+   * @type {ElementInternals}
    */
-  highlighter;
+  #internals;
 
   /**
-   * Attributes to monitor for changes.
-   * @type {string[]}
+   * @private
+   * @type {string|null}
    */
-  static observedAttributes = [
-    "highlight",
-    "inline",
-    "indent",
-    "line-numbers",
-    "palette",
-    "wrap"
-  ];
+  #lastContent = null;
 
   /**
-   * The HTML template for the shadow DOM.
-   * @type {HTMLTemplateElement}
+   * The raw value last written back to the light DOM by the editor.
+   * @private
+   * @type {string|null}
    */
-  static template = document.createElement('template');
+  #lastEdit = null;
 
-  static {
-    this.template.innerHTML = `
-    <style>
-      :host {
-        --line-number-color: gray;
-        --wrap: pre;
-        display: block;
-        max-width: 100%;
-        vertical-align: top;
-      }
+  /**
+   * @private
+   * @type {HTMLElement}
+   */
+  #lineNumberElem;
 
-      :host([inline]) {
-        display: inline-block;
-        vertical-align: middle;
-      }
+  /**
+   * @private
+   * @type {HTMLButtonElement}
+   */
+  #copyButton;
 
-      section {
-        display: inline-grid;
-        gap: .5rem;
-        grid-template-columns: max-content 1fr;
-        width: 100%;
-      }
+  /**
+   * Resets the copy button after it shows "Copied".
+   * @private
+   * @type {number}
+   */
+  #copyTimeout;
 
-      :host([inline]) section {
-        display: block;
-      }
+  /**
+   * The line holding the caret, which relative line numbers count from.
+   * @private
+   * @type {number}
+   */
+  #currentLine = 0;
 
-      #content {
-        font-family: "Courier New", monospace;
-        tab-size: var(--indent);
-        white-space: var(--wrap);
-        overflow: auto;
-        outline: none;
-        text-align: left;
-      }
+  /**
+   * The diff type of each displayed line ("inserted", "deleted", "hunk" or null) in diff mode.
+   * @private
+   * @type {Array<string|null>|null}
+   */
+  #lineTypes = null;
 
-      #line-numbers {
-        color: var(--line-number-color);
-        font-family: "Courier New", monospace;
-        white-space: pre;
-        text-align: right;
-        user-select: none;
-      }
-    </style>
+  /**
+   * The number of file lines preceding the displayed slice.
+   * @private
+   * @type {number}
+   */
+  #lineOffset = 0;
 
-    <section part="section">
-      <pre id="line-numbers" part="line-numbers"></pre>
-      <pre id="content" part="content"><slot></slot></pre>
-    </section>
-  `;
-  }
+  /**
+   * The number of file lines in the displayed slice.
+   * @private
+   * @type {number}
+   */
+  #lineCount = 0;
 
   /**
-   * constructor
+   * Aborts the pending `src` request.
+   * @private
+   * @type {AbortController|null}
    */
-  constructor() {
-    super();
-    this.attachShadow({ mode: "open" });
-  }
+  #loadController = null;
 
-  // --- Lifecycle ---
+  /**
+   * The offsets of the search matches in the content.
+   * @private
+   * @type {Array<[number, number]>}
+   */
+  #matches = [];
 
   /**
-   * Called when one of the observed attributes changes.
-   *
-   * @param {string} attr - The name of the attribute that changed.
-   * @param {string} oldval - The previous value of the attribute.
-   * @param {string} newval - The new value of the attribute.
+   * The index of the current search match.
+   * @private
+   * @type {number}
    */
-  attributeChangedCallback(attr, oldval, newval) {
-    if (oldval === newval) return;
+  #matchIndex = -1;
 
-    switch (attr) {
-      case "highlight":
-        newval = (newval === 'false') ? false : (newval === null || newval === '') ? 'html' : newval;
-        this.#highlight = newval;
+  /**
+   * @private
+   * @type {MutationObserver}
+   */
+  #observer;
+
+  /**
+   * Re-aligns the gutter when wrapped lines reflow.
+   * @private
+   * @type {ResizeObserver}
+   */
+  #resizeObserver;
+
+  /**
+   * Watch the distance to the viewport in lazy mode: one to highlight, and one to release the highlights.
+   * @private
+   * @type {IntersectionObserver[]}
+   */
+  #intersectionObservers = [];
+
+  /**
+   * Whether the element is near the viewport. Always true unless `lazy` is set.
+   * @private
+   * @type {boolean}
+   */
+  #nearby = true;
+
+  /**
+   * The complete file loaded from `src`, or the diff of `diff-from` and `diff-to`.
+   * @private
+   * @type {string|null}
+   */
+  #srcFile = null;
+
+  /**
+   * The active search.
+   * @private
+   * @type {{query: string, regex: boolean, caseSensitive: boolean}|null}
+   */
+  #search = null;
+
+  /**
+   * @private
+   * @type {HTMLElement}
+   */
+  #searchBar;
+
+  /**
+   * The text loaded from `src`, narrowed to `lines` or `region`. Takes the place of the light DOM while set.
+   * @private
+   * @type {string|null}
+   */
+  #srcText = null;
+
+  /**
+   * @private
+   * @type {number}
+   */
+  #updateTimeout;
+
+  /**
+   * The content lines currently displayed, or null when every line is displayed.
+   * @private
+   * @type {number[]|null}
+   */
+  #visibleLines = null;
+
+  /**
+   * Whether `#content` still holds markup rendered by the server, which may wrap the code in
+   * token spans. It is kept until the highlights for its text are ready.
+   * @private
+   * @type {boolean}
+   */
+  #prerendered = false;
+
+  /**
+   * The current search match, as offsets in the displayed text.
+   * @private
+   * @type {[number, number]|null}
+   */
+  #currentSpan = null;
+
+  /**
+   * The displayed text: the content without folded or clipped lines. In virtual mode `#content` only holds part of it.
+   * @private
+   * @type {string}
+   */
+  #displayText = '';
+
+  /**
+   * The offset at which each line of the displayed text starts, computed when first needed.
+   * @private
+   * @type {number[]|null}
+   */
+  #displayStarts = null;
+
+  /**
+   * The lines rendered in virtual mode: the first displayed line and how many follow, and
+   * where the rendered text starts and ends in the displayed text. Null when every line is rendered.
+   * @private
+   * @type {{line: number, count: number, start: number, end: number}|null}
+   */
+  #window = null;
+
+  /**
+   * The selection in virtual mode, as offsets in the displayed text, so it outlives the lines it covers being rendered.
+   * @private
+   * @type {{start: number, end: number}|null}
+   */
+  #virtualSelection = null;
+
+  // -- Public --
+
+  /**
+   * The highlighter instance used for syntax highlighting.
+   * @type {Highlighter}
+   */
+  highlighter;
+
+  /**
+   * Lets the element take part in forms.
+   * @type {boolean}
+   */
+  static formAssociated = true;
+
+  /**
+   * Styles for each line decoration type. Decorations with a higher priority are painted on top.
+   * @type {Object<string, {style: string, priority: number}>}
+   */
+  static decorationTypes = {
+    "deleted": { style: "background-color: var(--deleted-background);", priority: 0 },
+    "dim-line": { style: "color: var(--dim-line-color);", priority: 1 },
+    "folded": { style: "background-color: var(--folded-background);", priority: 0 },
+    "hunk": { style: "color: var(--hunk-color);", priority: 1 },
+    "inserted": { style: "background-color: var(--inserted-background);", priority: 0 },
+    "search-current": { style: "background-color: var(--search-current-background);", priority: 3 },
+    "search-match": { style: "background-color: var(--search-match-background);", priority: 2 },
+    "mark-line": { style: "background-color: var(--mark-line-background);", priority: 0 },
+  };
+
+  /**
+   * Attributes to monitor for changes.
+   * @type {string[]}
+   */
+  static observedAttributes = [
+    "copy",
+    "diff",
+    "diff-from",
+    "diff-to",
+    "dim-lines",
+    "edit",
+    "foldable",
+    "highlight",
+    "inline",
+    "indent",
+    "lazy",
+    "line-numbers",
+    "line-start",
+    "lines",
+    "mark-lines",
+    "max-lines",
+    "palette",
+    "region",
+    "readonly",
+    "required",
+    "search",
+    "src",
+    "syntax-base",
+    "virtual",
+    "worker",
+    "wrap"
+  ];
+
+  /**
+   * The HTML template for the shadow DOM.
+   * @type {HTMLTemplateElement}
+   */
+  static template = document.createElement('template');
+
+  /**
+   * The URL of the directory holding the syntax files, for elements without a `syntax-base`.
+   * When null, syntax files are loaded from the directory of this module.
+   * @type {string|URL|null}
+   */
+  static get syntaxBaseURL() { return syntaxSettings.baseURL; }
+  static set syntaxBaseURL(value) { syntaxSettings.baseURL = value; }
+
+  /**
+   * Loads syntax definitions by name before falling back to importing a syntax file.
+   * Return nothing to let the file be imported.
+   * @type {((name: string) => Promise<Object|undefined>)|null}
+   */
+  static get syntaxLoader() { return syntaxSettings.loader; }
+  static set syntaxLoader(value) { syntaxSettings.loader = value; }
+
+  static {
+    this.template.innerHTML = `
+    <style>
+      :host {
+        --deleted-background: hsl(0 100% 50% / .15);
+        --dim-line-color: hsl(0 0% 50% / .6);
+        --folded-background: hsl(0 0% 50% / .2);
+        --hunk-color: gray;
+        --inserted-background: hsl(120 100% 35% / .15);
+        --line-number-color: gray;
+        --mark-line-background: hsl(50 100% 50% / .2);
+        --search-current-background: hsl(30 100% 50% / .6);
+        --search-match-background: hsl(50 100% 50% / .4);
+        --virtual-height: 40em;
+        --virtual-line-height: 1.25;
+        --wrap: pre;
+        display: block;
+        max-width: 100%;
+        vertical-align: top;
+      }
+
+      :host([inline]) {
+        display: inline-block;
+        vertical-align: middle;
+      }
+
+      section {
+        display: inline-grid;
+        gap: .5rem;
+        grid-template-columns: max-content 1fr;
+        position: relative;
+        width: 100%;
+      }
+
+      #copy {
+        display: none;
+        position: absolute;
+        top: 0;
+        right: 0;
+        font: inherit;
+        font-size: .75em;
+        cursor: pointer;
+      }
+
+      :host([copy]) #copy {
+        display: block;
+      }
+
+      #search {
+        display: flex;
+        grid-column: 1 / -1;
+        gap: .25rem;
+        align-items: center;
+        justify-self: end;
+        font-size: .75em;
+      }
+
+      #search[hidden] {
+        display: none;
+      }
+
+      #search button {
+        font: inherit;
+        cursor: pointer;
+      }
+
+      #search button[aria-pressed="true"] {
+        font-weight: bold;
+      }
+
+      :host([inline]) section {
+        display: block;
+      }
+
+      #content {
+        font-family: "Courier New", monospace;
+        tab-size: var(--indent);
+        white-space: var(--wrap);
+        overflow: auto;
+        outline: none;
+        text-align: left;
+      }
+
+      :host(:disabled) #content {
+        opacity: .6;
+      }
+
+      :host([edit]) #content {
+        cursor: text;
+        min-height: 1lh;
+      }
+
+      #line-numbers {
+        color: var(--line-number-color);
+        font-family: "Courier New", monospace;
+        white-space: pre;
+        text-align: right;
+        user-select: none;
+      }
+
+      #line-numbers span {
+        cursor: pointer;
+      }
+
+      :host([virtual]:not([edit])) :is(#content, #line-numbers) {
+        box-sizing: border-box;
+        max-height: var(--virtual-height);
+        line-height: var(--virtual-line-height);
+      }
+
+      :host([virtual]:not([edit])) #content {
+        white-space: pre;
+      }
+
+      :host([virtual]:not([edit])) #line-numbers {
+        overflow: hidden;
+      }
+
+      #expand {
+        grid-column: 2;
+        justify-self: start;
+        font: inherit;
+        font-size: .75em;
+        cursor: pointer;
+      }
+    </style>
+
+    <section part="section">
+      <div id="search" part="search-bar" role="search" hidden>
+        <input part="search-input" type="search" placeholder="Find" aria-label="Find">
+        <span part="search-count" aria-live="polite"></span>
+        <button part="search-button" type="button" data-action="case" aria-pressed="false" title="Match case">Aa</button>
+        <button part="search-button" type="button" data-action="regex" aria-pressed="false" title="Regular expression">.*</button>
+        <button part="search-button" type="button" data-action="previous" title="Previous match">↑</button>
+        <button part="search-button" type="button" data-action="next" title="Next match">↓</button>
+        <button part="search-button" type="button" data-action="close" title="Close">✕</button>
+      </div>
+      <pre id="line-numbers" part="line-numbers"></pre>
+      <pre id="content" part="content"><slot></slot></pre>
+      <button id="expand" part="expand-button" type="button" hidden></button>
+      <button id="copy" part="copy-button" type="button">Copy</button>
+    </section>
+  `;
+  }
+
+  /**
+   * Returns the definitions of a registered or already loaded syntax.
+   *
+   * @param {string} name - The syntax name or one of its aliases.
+   * @returns {Object|undefined} The syntax definitions, if known.
+   */
+  static getSyntax(name) {
+    return getSyntax(name);
+  }
+
+  /**
+   * Lists the names of the registered and already loaded syntaxes.
+   *
+   * @returns {string[]} The sorted syntax names.
+   */
+  static listSyntaxes() {
+    return listSyntaxes();
+  }
+
+  /**
+   * Registers syntax definitions under a name, so elements can use them without importing a file.
+   * Registering an existing name replaces its definitions.
+   *
+   * @param {string} name - The syntax name used by the `highlight` attribute.
+   * @param {Object} defs - The syntax definitions.
+   * @param {Object} [options]
+   * @param {string[]} [options.aliases=[]] - Other names for the syntax.
+   * @param {string[]} [options.extensions=[]] - File extensions inferred as this syntax when loading `src`.
+   * @throws {Error} If the name is empty or the definitions are not an object.
+   */
+  static registerSyntax(name, defs, options) {
+    registerSyntax(name, defs, options);
+  }
+
+  /**
+   * constructor
+   */
+  constructor() {
+    super();
+    this.#internals = this.attachInternals();
+
+    // A declarative shadow root rendered by the server is kept; attachShadow would empty it
+    this.#prerendered = !!this.#internals.shadowRoot;
+    if (!this.#prerendered) this.attachShadow({ mode: "open" });
+  }
+
+  // --- Lifecycle ---
+
+  /**
+   * Called when one of the observed attributes changes.
+   *
+   * @param {string} attr - The name of the attribute that changed.
+   * @param {string} oldval - The previous value of the attribute.
+   * @param {string} newval - The new value of the attribute.
+   */
+  attributeChangedCallback(attr, oldval, newval) {
+    if (oldval === newval) return;
+
+    switch (attr) {
+      case "copy":
+        newval = newval !== 'false' && newval !== null;
+        this.#copy = newval;
+        this.#notify('copy', newval);
+        break;
+      case "diff":
+        newval = newval !== 'false' && newval !== null;
+        this.#diff = newval;
+        this.#rerender();
+        this.#setEdit(this.#edit);
+        this.#notify('diff', newval);
+        break;
+      case "diff-from":
+        this.#diffFrom = newval;
+        this.#load();
+        this.#notify('diffFrom', newval);
+        break;
+      case "diff-to":
+        this.#diffTo = newval;
+        this.#load();
+        this.#notify('diffTo', newval);
+        break;
+      case "dim-lines":
+        newval = (newval === 'false' || newval === null) ? false : newval;
+        this.#dimLines = newval;
+        this.#decorateLines();
+        this.#notify('dimLines', newval);
+        break;
+      case "edit":
+        newval = newval !== 'false' && newval !== null;
+        this.#edit = newval;
+        this.#setEdit(newval);
+        this.#refold();
+        break;
+      case "foldable":
+        newval = newval !== 'false' && newval !== null;
+        this.#foldable = newval;
+        this.#renderLineNumbers();
+        this.#notify('foldable', newval);
+        break;
+      case "highlight":
+        newval = (newval === 'false') ? false : (newval === null || newval === '') ? 'html' : newval;
+        this.#highlight = newval;
+        if (newval !== 'auto') this.#detectedLanguage = null;
         this.#highlightCode(newval);
         break;
       case "inline":
@@ -210,331 +828,2716 @@ export default class ACode extends HTMLElement {
         this.style.setProperty("--indent", newval);
         this.#notify('indent', newval);
         break;
+      case "lazy":
+        newval = (newval === 'release') ? 'release' : newval !== 'false' && newval !== null;
+        this.#lazy = newval;
+        this.#observeVisibility();
+        this.#notify('lazy', newval);
+        break;
       case "line-numbers":
-        newval = newval !== 'false' && newval !== null;
+        newval = (newval === 'relative') ? 'relative' : newval !== 'false' && newval !== null;
         this.#lineNumbers = newval;
         this.#setLineNumbers(newval);
         break;
+      case "line-start":
+        newval = parseInt(newval, 10);
+        this.#lineStart = Number.isNaN(newval) ? 1 : newval;
+        this.#renderLineNumbers();
+        this.#decorateLines();
+        this.#notify('lineStart', this.#lineStart);
+        break;
+      case "lines":
+        this.#lines = newval;
+        this.#slice();
+        this.#notify('lines', newval);
+        break;
+      case "mark-lines":
+        this.#markLines = newval;
+        this.#decorateLines();
+        this.#notify('markLines', newval);
+        break;
+      case "max-lines":
+        newval = parseInt(newval, 10);
+        this.#maxLines = newval > 0 ? newval : 0;
+        this.#expanded = false;
+        this.#refold();
+        this.#notify('maxLines', this.#maxLines);
+        break;
       case "palette":
         this.#palette = newval;
         if(this.highlighter) this.highlighter.setPalette(newval);
         this.#notify('palette', newval);
         break;
-      case 'wrap':
-        this.#wrap = newval;
-        this.style.setProperty('--wrap', newval);
-        this.#notify('wrap', newval);
+      case "readonly":
+        newval = newval !== 'false' && newval !== null;
+        this.#readonly = newval;
+        this.#setEdit(this.#edit);
+        this.#updateFormState();
+        this.#notify('readonly', newval);
         break;
+      case "region":
+        this.#region = newval;
+        this.#slice();
+        this.#notify('region', newval);
+        break;
+      case "required":
+        newval = newval !== 'false' && newval !== null;
+        this.#required = newval;
+        this.#updateFormState();
+        this.#notify('required', newval);
+        break;
+      case "search":
+        newval = newval !== 'false' && newval !== null;
+        this.#searchable = newval;
+        this.#setSearchable(newval);
+        this.#notify('search', newval);
+        break;
+      case "src":
+        this.#src = newval;
+        this.#load();
+        this.#notify('src', newval);
+        break;
+      case "syntax-base":
+        this.#syntaxBase = newval;
+        if (this.highlighter) this.#highlightCode();
+        this.#notify('syntaxBase', newval);
+        break;
+      case "virtual":
+        newval = newval !== 'false' && newval !== null;
+        this.#virtual = newval;
+        this.#rerender();
+        this.#notify('virtual', newval);
+        break;
+      case "worker":
+        newval = newval !== 'false' && newval !== null;
+        this.#worker = newval;
+        if (this.highlighter) this.#highlightCode();
+        this.#notify('worker', newval);
+        break;
+      case 'wrap':
+        this.#wrap = newval;
+        this.style.setProperty('--wrap', newval);
+        this.#renderLineNumbers();
+        this.#notify('wrap', newval);
+        break;
+    }
+  }
+
+  /**
+   * Called when the element is added to the document.
+   * Initializes Shadow DOM, observers, and content.
+   */
+  connectedCallback() {
+    if (!this.shadowRoot.hasChildNodes()) {
+        this.shadowRoot.append(ACode.template.content.cloneNode(true));
+    } else if (this.#prerendered) {
+        this.#adoptShadowTree();
+    }
+
+    this.#contentNode = this.shadowRoot.querySelector("#content");
+    this.#lineNumberElem = this.shadowRoot.querySelector("#line-numbers");
+    this.#copyButton = this.shadowRoot.querySelector("#copy");
+    this.#expandButton = this.shadowRoot.querySelector("#expand");
+    this.#searchBar = this.shadowRoot.querySelector("#search");
+    this.#abortController = new AbortController();
+    this.#observer = new MutationObserver(this.#update.bind(this));
+    const initialContent = this.#normalize(this.#getContent());
+    this.#lastContent = initialContent;
+    this.#renderCode();
+    this.indent = this.#indent;
+    this.#setLineNumbers(this.#lineNumbers);
+    this.#setEdit(this.#edit);
+    this.#setSearchable(this.#searchable);
+    // Decorations are drawn as CSS Custom Highlights, so they need the API
+    if (supportsHighlights) {
+      this.#decorationStyle = this.#createDecorationStyles();
+      this.shadowRoot.adoptedStyleSheets = [...this.shadowRoot.adoptedStyleSheets, this.#decorationStyle];
+    }
+    this.#decorateLines();
+    if (this.#defaultValue === null) this.#defaultValue = this.value;
+    this.#updateFormState();
+    this.#observeVisibility();
+    if (this.#highlight) this.#highlightCode();
+    else if (this.#prerendered) this.#setText(this.#contentNode.textContent, true);
+    if (this.#srcFile === null && (this.#src || this.#diffSources())) this.#load();
+
+    const signal = this.#abortController.signal;
+    this.#contentNode.addEventListener('input', this.#onInput.bind(this), { signal });
+    this.#contentNode.addEventListener('keydown', this.#onKeydown.bind(this), { signal });
+    this.#contentNode.addEventListener('paste', this.#onPaste.bind(this), { signal });
+    this.#contentNode.addEventListener('copy', this.#onCopy.bind(this), { signal });
+    this.#contentNode.addEventListener('scroll', this.#onScroll.bind(this), { signal });
+    this.#lineNumberElem.addEventListener('click', this.#onGutterClick.bind(this), { signal });
+    this.#expandButton.addEventListener('click', () => {
+      this.#expanded = true;
+      this.#refold();
+    }, { signal });
+    this.#copyButton.addEventListener('click', this.#copyCode.bind(this), { signal });
+    this.#searchBar.addEventListener('click', this.#onSearchClick.bind(this), { signal });
+    this.#searchBar.addEventListener('input', this.#onSearchInput.bind(this), { signal });
+    this.#searchBar.addEventListener('keydown', this.#onSearchKeydown.bind(this), { signal });
+    this.addEventListener('keydown', this.#onHostKeydown.bind(this), { signal });
+    document.addEventListener('selectionchange', this.#onSelectionChange.bind(this), { signal });
+
+    this.#resizeObserver = new ResizeObserver(() => {
+      if (this.#lineNumbers && this.#wraps()) this.#renderLineNumbers();
+      if (this.#window) this.#onScroll();
+    });
+    this.#resizeObserver.observe(this.#contentNode);
+
+    this.#observer.observe(this, {
+      childList: true,
+      subtree: true,
+      characterData: true
+    });
+  }
+
+  /**
+   * Called when the element is removed from the document.
+   * Cleans up observers, timers, and highlighter instances.
+   */
+  disconnectedCallback() {
+    cancelAnimationFrame(this.#editFrame);
+    clearTimeout(this.#updateTimeout);
+    clearTimeout(this.#copyTimeout);
+
+    if (this.#abortController) {
+      this.#abortController.abort();
+      this.#abortController = null;
+    }
+
+    if (this.#observer) {
+      this.#observer.disconnect();
+      this.#observer = null;
+    }
+
+    if (this.#resizeObserver) {
+      this.#resizeObserver.disconnect();
+      this.#resizeObserver = null;
+    }
+
+    this.#intersectionObservers.forEach(observer => observer.disconnect());
+    this.#intersectionObservers = [];
+
+    this.#destroyHighlights();
+    this.#clearDecorations();
+    if (this.#decorationStyle) {
+      this.shadowRoot.adoptedStyleSheets = this.shadowRoot.adoptedStyleSheets.filter(s => s !== this.#decorationStyle);
+    }
+    this.highlighter = null;
+    this.#palette = null;
+    this.#contentNode = null;
+    this.#lineNumberElem = null;
+    this.#copyButton = null;
+    this.#expandButton = null;
+    this.#searchBar = null;
+  }
+
+  /**
+   * Called when the element or an ancestor fieldset is disabled or enabled.
+   *
+   * @param {boolean} disabled - Whether the element is now disabled.
+   */
+  formDisabledCallback(disabled) {
+    this.#disabled = disabled;
+    this.#setEdit(this.#edit);
+    this.#notify('disabled', disabled);
+  }
+
+  /**
+   * Called when the owning form is reset. Restores the initial content.
+   */
+  formResetCallback() {
+    this.value = this.#defaultValue ?? '';
+  }
+
+  /**
+   * Called when the browser restores form state, e.g. after navigating back.
+   *
+   * @param {string} state - The previously submitted value.
+   */
+  formStateRestoreCallback(state) {
+    if (typeof state === 'string') this.value = state;
+  }
+
+  // --- Public ---
+
+  /**
+   * Checks whether the element meets its constraints.
+   *
+   * @returns {boolean} True if the element is valid.
+   */
+  checkValidity() {
+    return this.#internals.checkValidity();
+  }
+
+  /**
+   * Highlights every match of a query and makes the first one current.
+   * Folded blocks holding a match are unfolded. An empty query clears the search.
+   *
+   * @param {string} query - The text or regular expression to find.
+   * @param {Object} [options]
+   * @param {boolean} [options.regex=false] - Treat the query as a regular expression.
+   * @param {boolean} [options.caseSensitive=false] - Match case.
+   * @returns {number} The number of matches.
+   */
+  find(query, { regex = false, caseSensitive = false } = {}) {
+    this.#search = query ? { query: String(query), regex, caseSensitive } : null;
+    this.#matches = this.#runSearch();
+    this.#matchIndex = this.#matches.length ? 0 : -1;
+
+    // Reveal the lines holding matches
+    if (this.#matches.length && this.#lastContent !== null) {
+      const lineOf = offset => this.#lastContent.slice(0, offset).split('\n').length - 1;
+      const lines = this.#matches.map(([start]) => lineOf(start));
+      const regions = this.#getFoldRegions();
+      for (const start of [...this.#folded]) {
+        const end = regions.get(start);
+        if (lines.some(line => line > start && line <= end)) this.#folded.delete(start);
+      }
+      if (this.#maxLines && lines.some(line => line >= this.#maxLines)) this.#expanded = true;
+    }
+
+    this.#refold();
+    this.#scrollToMatch();
+    return this.#matches.length;
+  }
+
+  /**
+   * Makes the next search match current, wrapping around at the end.
+   *
+   * @returns {number} The index of the current match, or -1 if there are none.
+   */
+  findNext() {
+    return this.#moveMatch(1);
+  }
+
+  /**
+   * Makes the previous search match current, wrapping around at the start.
+   *
+   * @returns {number} The index of the current match, or -1 if there are none.
+   */
+  findPrevious() {
+    return this.#moveMatch(-1);
+  }
+
+  /**
+   * Folds the region starting at, or else enclosing, a line.
+   *
+   * @param {number} line - The line number, as shown in the gutter.
+   * @returns {boolean} True if a region was folded.
+   */
+  fold(line) {
+    if (this.#edit) return false;
+    const start = this.#regionAt(line - this.#firstLineNumber(), false);
+    if (start === null || this.#folded.has(start)) return false;
+    this.#folded.add(start);
+    this.#refold();
+    return true;
+  }
+
+  /**
+   * Folds every foldable region.
+   */
+  foldAll() {
+    if (this.#edit) return;
+    for (const start of this.#getFoldRegions().keys()) this.#folded.add(start);
+    this.#refold();
+  }
+
+  /**
+   * Lists the tokens found by the last highlight, in text order.
+   * Offsets are in the displayed text, which leaves out folded lines.
+   *
+   * @returns {Array<{type: string, start: number, end: number, text: string, line: number, column: number}>}
+   *   The tokens. `line` is the number shown in the gutter and `column` is zero-based.
+   */
+  getTokens() {
+    const text = this.#shownText();
+    const starts = this.#lineStarts(text);
+    const first = this.#firstLineNumber();
+
+    return [...(this.highlighter?.tokens ?? [])]
+      .sort((a, b) => a.start - b.start)
+      .map(token => this.#describeToken(token, text, starts, first));
+  }
+
+  /**
+   * Checks whether the element meets its constraints and reports the problem to the user.
+   *
+   * @returns {boolean} True if the element is valid.
+   */
+  reportValidity() {
+    return this.#internals.reportValidity();
+  }
+
+  /**
+   * Renders the code as static HTML, highlighted with the current syntax and palette,
+   * for use where the element and the CSS Custom Highlight API are unavailable.
+   * The whole code is rendered, including folded lines.
+   *
+   * @async
+   * @param {Object} [options]
+   * @param {boolean} [options.inlineStyles=false] - Color each token with a `style` attribute instead of a class name.
+   * @returns {Promise<string>} A `<pre class="a-code"><code>` element holding the code.
+   */
+  async toHTML({ inlineStyles = false } = {}) {
+    const code = this.#lastContent ?? this.#normalize(this.#getContent());
+    let syntax = this.highlighter?.syntax ?? false;
+
+    if (!syntax && this.#highlight) {
+      syntax = this.#inferSyntax(this.#highlight);
+      if (syntax === 'auto') syntax = this.#detectedLanguage ?? (await detectSyntax(code, this.#syntaxBase)).language ?? false;
+    }
+
+    const palette = this.highlighter?.palette ?? this.#palette ?? 'default';
+    return renderToHTML(code, { syntax, palette, inlineStyles, base: this.#syntaxBase });
+  }
+
+  /**
+   * Finds the token at a position in the displayed text.
+   * Where tokens overlap, as those of layered syntax definitions do, the one latest in the
+   * highlighter's token list is returned: it comes from the later rule, which is painted on top.
+   *
+   * @param {number|{line: number, column: number}} position - An offset, or a gutter line number and zero-based column.
+   * @returns {Object|null} The token, shaped like those of `getTokens()`, or null.
+   */
+  tokenAt(position) {
+    const text = this.#shownText();
+    const starts = this.#lineStarts(text);
+    const first = this.#firstLineNumber();
+    let offset = position;
+
+    if (typeof position === 'object' && position !== null) {
+      const line = position.line - first;
+      const index = this.#visibleLines ? this.#visibleLines.indexOf(line) : line;
+      if (!(index >= 0 && index < starts.length)) return null;
+      offset = starts[index] + (position.column ?? 0);
+    }
+
+    const tokens = this.highlighter?.tokens ?? [];
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      if (tokens[i].start <= offset && offset < tokens[i].end) return this.#describeToken(tokens[i], text, starts, first);
+    }
+    return null;
+  }
+
+  /**
+   * Unfolds the folded region starting at, or else enclosing, a line.
+   *
+   * @param {number} line - The line number, as shown in the gutter.
+   * @returns {boolean} True if a region was unfolded.
+   */
+  unfold(line) {
+    const start = this.#regionAt(line - this.#firstLineNumber(), true);
+    if (start === null) return false;
+    this.#folded.delete(start);
+    this.#refold();
+    return true;
+  }
+
+  /**
+   * Unfolds every region and lifts the `max-lines` limit.
+   */
+  unfoldAll() {
+    this.#folded.clear();
+    this.#expanded = true;
+    this.#refold();
+  }
+
+  // --- Private ---
+
+  /**
+   * Adopts a shadow tree rendered by the server with `<template shadowrootmode="open">`.
+   * Parts of the template it lacks are filled in around the pre-rendered ones.
+   *
+   * @private
+   */
+  #adoptShadowTree() {
+    const root = this.shadowRoot;
+    const parts = ['style', '#search', '#line-numbers', '#content', '#expand', '#copy'];
+    this.#prerendered = !!root.querySelector('#content');
+    if (parts.every(selector => root.querySelector(selector))) return;
+
+    const tree = ACode.template.content.cloneNode(true);
+    for (const selector of parts) {
+      const node = root.querySelector(selector);
+      if (node) tree.querySelector(selector).replaceWith(node);
+    }
+    root.replaceChildren(tree);
+  }
+
+  /**
+   * Removes all line decorations.
+   *
+   * @private
+   */
+  #clearDecorations() {
+    for (const type of this.#decorations.keys()) {
+      CSS.highlights?.delete(`${type}-${this.#id}`);
+    }
+    this.#decorations.clear();
+  }
+
+  /**
+   * Hides the search bar and clears the search.
+   *
+   * @private
+   */
+  #closeSearch() {
+    this.#searchBar.hidden = true;
+    this.#searchBar.querySelector('input').value = '';
+    this.find('');
+    this.#contentNode.focus();
+  }
+
+  /**
+   * Decodes HTML entities by creating a temporary textarea.
+   *
+   * @private
+   * @param {string} html - The HTML string to decode.
+   * @returns {string} The decoded string.
+   */
+  #convertHTML(html) {
+    const elem = document.createElement("textarea");
+    elem.innerHTML = html;
+    return elem.value;
+  }
+
+  /**
+   * Copies the displayed code to the clipboard. In diff mode, only the code after the
+   * change is copied: deleted lines and hunk headers are left out.
+   * Dispatches a cancelable `copy` CustomEvent first; listeners may change `event.detail.text`.
+   * The browser's own `copy` event also reaches the element when a selection is copied, so
+   * listeners tell the two apart with `event instanceof CustomEvent`.
+   *
+   * @private
+   * @async
+   */
+  async #copyCode() {
+    let text = this.#lastContent ?? '';
+    if (this.#lineTypes) {
+      const types = this.#lineTypes;
+      text = text.split('\n').filter((_, i) => types[i] !== 'deleted' && types[i] !== 'hunk').join('\n');
+    }
+    const detail = { text };
+    const event = new CustomEvent('copy', { cancelable: true, detail });
+    if (!this.dispatchEvent(event)) return;
+
+    try {
+      await navigator.clipboard.writeText(String(detail.text));
+    } catch (error) {
+      console.error("Copy failed", error);
+      return;
+    }
+
+    const button = this.#copyButton;
+    if (!button) return;
+    button.textContent = 'Copied';
+    button.setAttribute('part', 'copy-button copied');
+    this.#setState('copied', true);
+
+    clearTimeout(this.#copyTimeout);
+    this.#copyTimeout = setTimeout(() => {
+      button.textContent = 'Copy';
+      button.setAttribute('part', 'copy-button');
+      this.#setState('copied', false);
+    }, 2000);
+  }
+
+  /**
+   * Generates the CSSStyleSheet for this element's line decorations.
+   *
+   * @private
+   * @returns {CSSStyleSheet}
+   */
+  #createDecorationStyles() {
+    const sheet = new CSSStyleSheet();
+    let rules = "";
+    for (const [type, { style }] of Object.entries(ACode.decorationTypes)) {
+      rules += `::highlight(${type}-${this.#id}) { ${style} } `;
+    }
+    sheet.replaceSync(rules);
+    return sheet;
+  }
+
+  /**
+   * Draws the search matches on the displayed code and updates the match count.
+   *
+   * @private
+   * @param {Map<number, number>|null} display - Maps content lines to displayed lines when lines are hidden.
+   */
+  #decorateMatches(display) {
+    if (this.#search) {
+      this.#matches = this.#runSearch();
+      this.#matchIndex = Math.min(this.#matchIndex, this.#matches.length - 1);
+      if (this.#matchIndex === -1 && this.#matches.length) this.#matchIndex = 0;
+    } else {
+      this.#matches = [];
+      this.#matchIndex = -1;
+    }
+
+    const content = this.#lastContent ?? '';
+    const text = this.#shownText();
+    const contentStarts = [0];
+    const displayStarts = [0];
+    for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) contentStarts.push(i + 1);
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) displayStarts.push(i + 1);
+
+    // Converts a content offset into a displayed offset, or null if its line is hidden
+    const toDisplay = offset => {
+      let low = 0;
+      let high = contentStarts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (contentStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+      }
+      const line = low;
+      const row = display ? display.get(line) : line;
+      if (row === undefined || row >= displayStarts.length) return null;
+      return displayStarts[row] + offset - contentStarts[line];
+    };
+
+    const spans = [];
+    let current = [];
+    this.#matches.forEach(([start, end], i) => {
+      const from = toDisplay(start);
+      const to = toDisplay(end);
+      if (from === null || to === null) return;
+      spans.push([from, to]);
+      if (i === this.#matchIndex) current = [[from, to]];
+    });
+
+    this.#currentSpan = current[0] ?? null;
+    this.#decorateSpans('search-match', spans);
+    this.#decorateSpans('search-current', current);
+
+    const count = this.#searchBar?.querySelector('[part="search-count"]');
+    if (count) {
+      count.textContent = this.#search
+        ? (this.#matches.length ? `${this.#matchIndex + 1}/${this.#matches.length}` : 'No results')
+        : '';
+    }
+  }
+
+  /**
+   * Draws a decoration over whole lines of the displayed code.
+   *
+   * @private
+   * @param {string} type - The decoration type, one of `ACode.decorationTypes`.
+   * @param {Iterable<number>} indexes - Zero-based indexes of the lines to decorate.
+   */
+  #decorate(type, indexes) {
+    if (!this.#contentNode) return;
+
+    const text = this.#shownText();
+    const wanted = new Set(indexes);
+    const spans = [];
+    let start = 0;
+
+    for (let index = 0; start <= text.length; index++) {
+      let end = text.indexOf('\n', start);
+      if (end === -1) end = text.length;
+
+      // Include the line break so empty lines still show a band
+      if (wanted.has(index)) spans.push([start, Math.min(end + 1, text.length)]);
+      start = end + 1;
+    }
+
+    this.#decorateSpans(type, spans);
+  }
+
+  /**
+   * Draws a decoration over spans of the displayed code. In virtual mode, only the parts
+   * of the spans that are rendered are drawn.
+   *
+   * @private
+   * @param {string} type - The decoration type, one of `ACode.decorationTypes`.
+   * @param {Array<[number, number]>} spans - Start and end offsets of the text to decorate.
+   */
+  #decorateSpans(type, spans) {
+    if (!window.CSS?.highlights || !this.#contentNode) return;
+
+    const name = `${type}-${this.#id}`;
+    const node = this.#contentNode.firstChild;
+    const shift = this.#window?.start ?? 0;
+    const ranges = [];
+
+    if (node && node.nodeType === Node.TEXT_NODE) {
+      for (const [start, end] of spans) {
+        if (end < shift || start > shift + node.length) continue;
+        const range = new Range();
+        range.setStart(node, Math.max(0, start - shift));
+        range.setEnd(node, Math.min(node.length, end - shift));
+        ranges.push(range);
+      }
+    }
+
+    if (ranges.length === 0) {
+      CSS.highlights.delete(name);
+      this.#decorations.delete(type);
+      return;
+    }
+
+    const highlight = new Highlight(...ranges);
+    highlight.priority = ACode.decorationTypes[type]?.priority ?? 0;
+    CSS.highlights.set(name, highlight);
+    this.#decorations.set(type, highlight);
+  }
+
+  /**
+   * Applies `mark-lines` and `dim-lines` to the displayed code.
+   *
+   * @private
+   */
+  #decorateLines() {
+    if (!this.#contentNode) return;
+
+    // Decorations are drawn on displayed lines, which skip folded content lines
+    const visible = this.#visibleLines;
+    const count = this.#shownText().split('\n').length;
+    const display = visible ? new Map(visible.map((line, i) => [line, i])) : null;
+    const toDisplay = lines => lines
+      .map(line => display ? display.get(line) : line)
+      .filter(i => i !== undefined && i >= 0 && i < count);
+
+    for (const type of ['inserted', 'deleted', 'hunk']) {
+      const lines = [];
+      this.#lineTypes?.forEach((lineType, i) => lineType === type && lines.push(i));
+      this.#decorate(type, toDisplay(lines));
+    }
+
+    this.#decorate('folded', toDisplay([...this.#folded]));
+
+    this.#decorateMatches(display);
+
+    const first = this.#firstLineNumber();
+    const toIndexes = numbers => toDisplay([...numbers].map(n => n - first));
+    const marked = toIndexes(this.#parseLineList(this.#markLines));
+    this.#decorate('mark-line', marked);
+
+    let dimmed = [];
+    if (typeof this.#dimLines === 'string' && this.#dimLines !== '' && this.#dimLines !== 'true') {
+      dimmed = toIndexes(this.#parseLineList(this.#dimLines));
+    } else if (this.#dimLines !== false && marked.length) {
+      // A bare dim-lines fades every line that is not marked
+      const focus = new Set(marked);
+      dimmed = Array.from({ length: count }, (_, i) => i).filter(i => !focus.has(i));
+    }
+    this.#decorate('dim-line', dimmed);
+  }
+
+  /**
+   * Adds a token's text, gutter line number and column, as `getTokens()` lists them.
+   *
+   * @private
+   * @param {{type: string, start: number, end: number}} token - The token.
+   * @param {string} text - The displayed text.
+   * @param {number[]} starts - The offsets where its lines start.
+   * @param {number} first - The number of the first line.
+   * @returns {{type: string, start: number, end: number, text: string, line: number, column: number}}
+   */
+  #describeToken({ type, start, end }, text, starts, first) {
+    let index = 0;
+    for (let low = 0, high = starts.length - 1; low <= high;) {
+      const mid = (low + high) >> 1;
+      if (starts[mid] <= start) {
+        index = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    const line = (this.#visibleLines ? this.#visibleLines[index] : index) + first;
+    return { type, start, end, text: text.slice(start, end), line, column: start - starts[index] };
+  }
+
+  /**
+   * Builds a unified diff of two texts, keeping every line as context. When the changed
+   * parts are too large to compare, every line of them is shown as changed.
+   *
+   * @private
+   * @param {string} before - The original text.
+   * @param {string} after - The changed text.
+   * @returns {string} The unified diff, without headers.
+   */
+  #diffText(before, after) {
+    const a = before.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+    const b = after.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+
+    // Lines shared at both ends need no comparison
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) head++;
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+    const oldLines = a.slice(head, a.length - tail);
+    const newLines = b.slice(head, b.length - tail);
+    const rows = oldLines.length + 1;
+    const cols = newLines.length + 1;
+
+    if (oldLines.length * newLines.length > maxDiffCells) {
+      return a.slice(0, head).map(line => ' ' + line)
+        .concat(oldLines.map(line => '-' + line), newLines.map(line => '+' + line))
+        .concat(a.slice(a.length - tail).map(line => ' ' + line)).join('\n');
+    }
+
+    // Longest common subsequence table, filled from the end
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+      for (let j = newLines.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = oldLines[i] === newLines[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+
+    const output = a.slice(0, head).map(line => ' ' + line);
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+      if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+        output.push(' ' + oldLines[i++]);
+        j++;
+      } else if (j < newLines.length && (i === oldLines.length || lcs[i * cols + j + 1] >= lcs[(i + 1) * cols + j])) {
+        output.push('+' + newLines[j++]);
+      } else {
+        output.push('-' + oldLines[i++]);
+      }
+    }
+
+    return output.concat(a.slice(a.length - tail).map(line => ' ' + line)).join('\n');
+  }
+
+  /**
+   * Returns the `diff-from` and `diff-to` URLs when both are set.
+   *
+   * @private
+   * @returns {string[]|null}
+   */
+  #diffSources() {
+    return (this.#diffFrom && this.#diffTo) ? [this.#diffFrom, this.#diffTo] : null;
+  }
+
+  /**
+   * Highlights a text node with the current highlighter, then dispatches `highlighted`
+   * with the number of tokens of each type.
+   *
+   * @private
+   * @param {Node} textNode - The text node to highlight.
+   * @returns {Promise<void>}
+   */
+  async #runHighlighter(textNode) {
+    const highlighter = this.highlighter;
+    const view = this.#window && { text: this.#displayText, start: this.#window.start, end: this.#window.end };
+
+    // Server-rendered markup is highlighted in a detached copy, which replaces it once the
+    // highlights are ready, so the code is never shown unstyled in between
+    const content = this.#contentNode;
+    const single = content.childNodes.length === 1 && content.firstChild.nodeType === Node.TEXT_NODE;
+    const hydrating = this.#prerendered && !highlighter.spans && !single;
+    if (hydrating) textNode = document.createTextNode(content.textContent);
+
+    // Diff lines are tokenized as the code before and after the change
+    const visible = this.#visibleLines;
+    highlighter.setLineTypes(this.#lineTypes && (visible ? visible.map(line => this.#lineTypes[line]) : this.#lineTypes));
+
+    const tokens = await highlighter.highlight(textNode, view);
+    if (!tokens || highlighter !== this.highlighter) return;
+
+    // Spans drawn by the highlighter have replaced the markup already
+    if (this.#prerendered && (highlighter.spans || content.textContent === textNode.data)) {
+      this.#prerendered = false;
+      if (hydrating) {
+        content.replaceChildren(textNode);
+        this.#decorateLines();
+      }
+    }
+
+    const counts = {};
+    for (const { type } of tokens) counts[type] = (counts[type] ?? 0) + 1;
+    this.dispatchEvent(new CustomEvent('highlighted', { detail: { counts, total: tokens.length } }));
+  }
+
+  /**
+   * Destroys the current highlighter instance and cleans up artifacts.
+   *
+   * @private
+   */
+  #destroyHighlights() {
+    if (!this.highlighter) return;
+    try {
+      this.highlighter.destroy();
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * Returns the current selection inside `#content` as text offsets.
+   *
+   * @private
+   * @returns {{start: number, end: number}|null} The selection offsets, or null if the selection is elsewhere.
+   */
+  #getSelectionOffsets() {
+    const selection = this.shadowRoot.getSelection ? this.shadowRoot.getSelection() : document.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+
+    const range = selection.getComposedRanges
+      ? selection.getComposedRanges({ shadowRoots: [this.shadowRoot] })[0]
+      : selection.getRangeAt(0);
+
+    if (!range || !this.#contentNode.contains(range.startContainer)) return null;
+
+    const start = this.#offsetOf(range.startContainer, range.startOffset);
+    const end = this.#offsetOf(range.endContainer, range.endOffset);
+    return { start: Math.min(start, end), end: Math.max(start, end) };
+  }
+
+  /**
+   * Finds the foldable regions of the content: brace blocks (indentation blocks for Python)
+   * and `#region` markers. Each region hides the lines after its first line, up to but not
+   * including a closing brace or `#endregion`.
+   *
+   * @private
+   * @returns {Map<number, number>} Each region's first line mapped to its last hidden line.
+   */
+  #getFoldRegions() {
+    if (this.#foldRegions) return this.#foldRegions;
+
+    const lines = (this.#lastContent ?? '').split('\n');
+    const regions = new Map();
+    const add = (start, end) => {
+      if (end > start && !(regions.get(start) >= end)) regions.set(start, end);
+    };
+
+    const syntax = this.#inferSyntax(this.#highlight);
+    if (/python/i.test(syntaxName(String(syntax === 'auto' ? this.#detectedLanguage : syntax)))) {
+      const indentOf = line => line.match(/^\s*/)[0].length;
+      lines.forEach((line, start) => {
+        if (!/:\s*(#.*)?$/.test(line)) return;
+        let end = start;
+        for (let i = start + 1; i < lines.length; i++) {
+          if (!lines[i].trim()) continue;
+          if (indentOf(lines[i]) <= indentOf(line)) break;
+          end = i;
+        }
+        add(start, end);
+      });
+    } else {
+      const stack = [];
+      let quote = null;
+      let blockComment = false;
+
+      lines.forEach((line, index) => {
+        if (quote !== '`') quote = null;
+        for (let i = 0; i < line.length; i++) {
+          const char = line[i];
+          if (blockComment) {
+            if (char === '*' && line[i + 1] === '/') blockComment = false;
+          } else if (quote) {
+            if (char === '\\') i++;
+            else if (char === quote) quote = null;
+          } else if (char === '"' || char === "'" || char === '`') {
+            quote = char;
+          } else if (char === '/' && line[i + 1] === '/') {
+            break;
+          } else if (char === '/' && line[i + 1] === '*') {
+            blockComment = true;
+          } else if (char === '{') {
+            stack.push(index);
+          } else if (char === '}' && stack.length) {
+            add(stack.pop(), index - 1);
+          }
+        }
+      });
+    }
+
+    const markers = [];
+    lines.forEach((line, index) => {
+      const match = line.match(regionMarker);
+      if (!match) return;
+      if (!match[1]) markers.push(index);
+      else if (markers.length) add(markers.pop(), index - 1);
+    });
+
+    this.#foldRegions = regions;
+    return regions;
+  }
+
+  /**
+   * Returns the current search match as a Range over the displayed code.
+   *
+   * @private
+   * @returns {Range|null}
+   */
+  #currentMatchRange() {
+    const highlight = this.#decorations.get('search-current');
+    return highlight ? [...highlight][0] ?? null : null;
+  }
+
+  /**
+   * Returns the number shown beside the first displayed line.
+   *
+   * @private
+   * @returns {number}
+   */
+  #firstLineNumber() {
+    return this.#lineStart + this.#lineOffset;
+  }
+
+  /**
+   * Retrieves the raw content from the element.
+   * Prioritizes a child `<textarea>` if present, otherwise uses innerHTML.
+   *
+   * @private
+   * @returns {string} The raw content string.
+   */
+  #getContent() {
+    // Content loaded from `src` replaces the light DOM
+    if (this.#srcText !== null) return this.#srcText;
+
+    // Check if the first child is a Textarea
+    const child = this.firstElementChild;
+    if (child && child.localName === 'textarea') {
+      const val = child.value;
+      return val.replace(/\\\//g, "/");
+    }
+
+    // Default fallback: get innerHTML and decode entities
+    return this.#convertHTML(this.innerHTML);
+  }
+
+  /**
+   * Initializes the syntax highlighter.
+   *
+   * @private
+   * @param {string|boolean} [syntax=this.#highlight] - The syntax language to highlight.
+   * @param {Object|null} [palette=this.palette] - The color palette to use.
+   */
+  #highlightCode(syntax = this.#highlight, palette = this.palette) {
+    // In lazy mode, the syntax is loaded once the element nears the viewport
+    if (!this.#contentNode || !this.#nearby) return;
+    if (syntax !== 'false' && syntax !== false) syntax = this.#inferSyntax(syntax);
+
+    if (syntax === 'auto') {
+      // The current highlights stay until the language is known
+      this.#detectLanguage().then(language => {
+        if (language) this.#highlightCode(language, palette);
+      });
+      return;
+    }
+
+    if (this.highlighter) this.highlighter.destroy();
+    if (syntax === 'false' || syntax === false) return;
+
+    this.highlighter = new Highlighter(this, syntax, palette, undefined, {
+      syntaxBase: this.#syntaxBase,
+      worker: this.#worker,
+    });
+
+    try {
+      const textNode = Array
+        .from(this.#contentNode.childNodes)
+        .find(n => n.nodeType === Node.TEXT_NODE) ?? (this.#prerendered ? this.#contentNode.firstChild : null);
+
+      if (textNode) this.#runHighlighter(textNode);
+      this.#notify('highlight', this.#highlight);
+
+    } catch (error) {
+      console.error("Highlighting failed", error);
+    }
+  }
+
+  /**
+   * Narrows text to the `region` or `lines` requested, whichever is set (`region` wins).
+   * Leading blank lines are dropped, as `#resetSpaces` would, and counted in the offset.
+   *
+   * @private
+   * @param {string} text - The complete file.
+   * @returns {{text: string, offset: number, count: number}} The slice, the number of file lines
+   *   before it and the number of file lines in it.
+   */
+  #extract(text) {
+    let lines = text.replace(/\r\n/g, '\n').split('\n');
+    let offset = 0;
+
+    if (this.#region) {
+      const name = this.#region.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const start = new RegExp(`^\\s*(?:\\/\\/|#|\\/\\*|<!--)?\\s*#region\\s+${name}\\s*(?:\\*\\/|-->)?\\s*$`);
+      const first = lines.findIndex(line => start.test(line));
+
+      if (first === -1) {
+        console.warn(`Region "${this.#region}" not found, showing the whole file.`, this);
+      } else {
+        // Skip nested regions until the matching #endregion
+        let depth = 1;
+        let last = first + 1;
+        for (; last < lines.length; last++) {
+          const match = lines[last].match(regionMarker);
+          if (!match) continue;
+          depth += match[1] ? -1 : 1;
+          if (depth === 0) break;
+        }
+        offset = first + 1;
+        lines = lines.slice(first + 1, last);
+      }
+    } else if (this.#lines) {
+      const [, from, to] = this.#lines.match(/^\s*(\d*)\s*(?:-\s*(\d*))?\s*$/) ?? [];
+      if (from === undefined) {
+        console.warn(`Invalid lines "${this.#lines}", showing the whole file.`, this);
+      } else {
+        const start = Math.max(parseInt(from || '1', 10), 1);
+        const end = to === undefined ? start : to === '' ? lines.length : parseInt(to, 10);
+        offset = start - 1;
+        lines = lines.slice(start - 1, end);
+      }
+    }
+
+    while (lines.length > 1 && lines[0] === '') {
+      lines.shift();
+      offset++;
+    }
+
+    return { text: lines.join('\n'), offset, count: lines.length };
+  }
+
+  /**
+   * Picks the syntax that best matches the content, for `highlight="auto"`.
+   * Dispatches `language-detected` when the language changes.
+   *
+   * @private
+   * @returns {Promise<string|null>} The language, or null if the result is stale.
+   */
+  async #detectLanguage() {
+    const id = ++this.#detectId;
+    const { language } = await detectSyntax(this.#shownText(), this.#syntaxBase);
+    if (id !== this.#detectId || this.#highlight !== 'auto') return null;
+
+    if (language !== this.#detectedLanguage) {
+      this.#detectedLanguage = language;
+      this.#foldRegions = null;
+      if (this.#foldable) this.#renderLineNumbers();
+      this.#notify('detectedLanguage', language);
+      this.dispatchEvent(new CustomEvent('language-detected', { detail: { language } }));
+    }
+    return language;
+  }
+
+  /**
+   * Infers the syntax from the `src` file extension when `highlight` is a bare boolean or "auto".
+   * If the file is not a valid URL, the requested syntax is kept.
+   *
+   * @private
+   * @param {string} syntax - The syntax requested by the `highlight` attribute.
+   * @returns {string} The syntax to use.
+   */
+  #inferSyntax(syntax) {
+    const attr = this.getAttribute('highlight');
+    const file = this.#diffSources()?.[1] ?? this.#src;
+    if (!file || (attr !== '' && attr !== 'true' && attr !== 'auto')) return syntax;
+
+    let path;
+    try {
+      path = new URL(file, document.baseURI).pathname;
+    } catch (error) {
+      // An invalid URL fails to load on its own; the requested syntax stands
+      return syntax;
+    }
+    const ext = path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+    return syntaxForExtension(ext) ?? syntax;
+  }
+
+  /**
+   * Tells whether only the lines near the scroll position are rendered. Editing needs every line, so it turns this off.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  #isVirtual() {
+    return this.#virtual && !this.#edit;
+  }
+
+  /**
+   * Replaces the text between two offsets, keeping the browser's undo stack intact where possible.
+   *
+   * @private
+   * @param {number} start - The start offset of the text to replace.
+   * @param {number} end - The end offset of the text to replace.
+   * @param {string} text - The replacement text.
+   */
+  #insertText(start, end, text) {
+    this.#setSelectionOffsets(start, end);
+
+    // "true" editing hosts turn newlines into markup, so only let the browser insert into plain-text hosts
+    const plain = this.#contentNode.contentEditable === 'plaintext-only';
+    if (plain && document.execCommand('insertText', false, text)) return;
+
+    const content = this.#contentNode.textContent;
+    this.#setText(content.slice(0, start) + text + content.slice(end));
+    this.#setSelectionOffsets(start + text.length);
+    this.#onInput();
+  }
+
+  /**
+   * Fetches the file named by `src`, or the pair named by `diff-from` and `diff-to`,
+   * and renders it in place of the light DOM content.
+   * Dispatches `load` when the content has been rendered and `error` if it could not be fetched.
+   *
+   * @private
+   * @async
+   */
+  async #load() {
+    if (this.#loadController) this.#loadController.abort();
+    this.#loadController = null;
+
+    const urls = this.#diffSources() ?? (this.#src ? [this.#src] : []);
+
+    if (urls.length === 0) {
+      this.#srcFile = null;
+      this.#srcText = null;
+      this.#lineOffset = 0;
+      this.#lineCount = 0;
+      this.#setState('loading', false);
+      this.#setState('error', false);
+      if (this.#contentNode) this.#update(0);
+      return;
+    }
+
+    // Loading resumes in connectedCallback
+    if (!this.#abortController) return;
+
+    const controller = new AbortController();
+    const signal = AbortSignal.any([this.#abortController.signal, controller.signal]);
+    this.#loadController = controller;
+    this.#setState('loading', true);
+    this.#setState('error', false);
+
+    try {
+      const texts = await Promise.all(urls.map(async url => {
+        const response = await fetch(new URL(url, document.baseURI), { signal });
+        if (!response.ok) throw new Error(`Could not load ${url}: ${response.status} ${response.statusText}`);
+        return response.text();
+      }));
+      if (signal.aborted) return;
+
+      this.#srcFile = texts.length === 2 ? this.#diffText(...texts) : texts[0];
+      this.#slice();
+      this.#defaultValue = this.#srcText;
+      this.dispatchEvent(new Event('load'));
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error(error);
+      this.#setState('error', true);
+      this.dispatchEvent(new CustomEvent('error', { detail: error }));
+    } finally {
+      if (this.#loadController === controller) {
+        this.#loadController = null;
+        this.#setState('loading', false);
+      }
+    }
+  }
+
+  /**
+   * Notifies an external binder (e.g., `a-bind`) of property changes.
+   *
+   * @private
+   * @param {string} property - The property name.
+   * @param {*} value - The new value.
+   */
+  #notify(property, value) {
+    const binder = customElements.get('a-bind');
+    if (binder) binder.update(this, property, value);
+  }
+
+  /**
+   * Makes another search match current and scrolls it into view.
+   *
+   * @private
+   * @param {number} step - 1 for the next match, -1 for the previous one.
+   * @returns {number} The index of the current match, or -1 if there are none.
+   */
+  #moveMatch(step) {
+    const count = this.#matches.length;
+    if (!count) return -1;
+
+    this.#matchIndex = (this.#matchIndex + step + count) % count;
+    this.#decorateLines();
+    this.#scrollToMatch();
+    return this.#matchIndex;
+  }
+
+  /**
+   * Normalizes raw content for display. In diff mode, strips the diff markers
+   * and records the type of each line.
+   *
+   * @private
+   * @param {string} raw - The raw content.
+   * @returns {string} The text to display.
+   */
+  #normalize(raw) {
+    if (!this.#diff && !this.#diffSources()) {
+      this.#lineTypes = null;
+      return this.#resetSpaces(raw);
+    }
+
+    const { text, types } = this.#parseDiff(raw);
+    this.#lineTypes = types;
+    return text;
+  }
+
+  /**
+   * Converts a DOM position inside `#content` into a text offset.
+   *
+   * @private
+   * @param {Node} node - The container node.
+   * @param {number} offset - The offset within the container.
+   * @returns {number} The offset from the start of the text.
+   */
+  #offsetOf(node, offset) {
+    const range = new Range();
+    range.setStart(this.#contentNode, 0);
+    range.setEnd(node, offset);
+    return range.toString().length;
+  }
+
+  /**
+   * Watches how far the element is from the viewport in lazy mode. It is highlighted once it
+   * comes within 200px, and with `lazy="release"` its highlights are dropped again once it is
+   * more than 3000px away.
+   *
+   * @private
+   */
+  #observeVisibility() {
+    this.#intersectionObservers.forEach(observer => observer.disconnect());
+    this.#intersectionObservers = [];
+
+    const wasNearby = this.#nearby;
+    this.#nearby = !this.#lazy || !this.#contentNode || typeof IntersectionObserver === 'undefined';
+    if (this.#nearby) {
+      if (!wasNearby && this.#highlight) this.#highlightCode();
+      return;
+    }
+
+    const near = new IntersectionObserver(entries => {
+      if (!entries.at(-1).isIntersecting || this.#nearby) return;
+      this.#nearby = true;
+      if (this.#highlight) this.#highlightCode();
+    }, { rootMargin: '200px' });
+    this.#intersectionObservers.push(near);
+
+    if (this.#lazy === 'release') {
+      const far = new IntersectionObserver(entries => {
+        if (entries.at(-1).isIntersecting || !this.#nearby) return;
+        this.#nearby = false;
+        this.#destroyHighlights();
+        this.highlighter = null;
+      }, { rootMargin: '3000px' });
+      this.#intersectionObservers.push(far);
+    }
+
+    this.#intersectionObservers.forEach(observer => observer.observe(this));
+  }
+
+  /**
+   * Handles edits made in `#content`. Collapses the edited DOM back into a single text node,
+   * writes the text back to `value` and schedules a re-highlight.
+   *
+   * @private
+   */
+  #onInput() {
+    const node = this.#contentNode;
+    const text = node.textContent;
+
+    if (node.childNodes.length !== 1 || node.firstChild.nodeType !== Node.TEXT_NODE) {
+      const selection = this.#getSelectionOffsets();
+      node.textContent = text;
+      if (selection) this.#setSelectionOffsets(selection.start, selection.end);
+    }
+
+    this.#lastContent = text;
+    this.#lastEdit = text;
+    this.#foldRegions = null;
+    this.#writeContent(text);
+    this.#updateFormState();
+    this.#notify('value', text);
+
+    this.#renderLineNumbers();
+    this.#decorateLines();
+
+    cancelAnimationFrame(this.#editFrame);
+    this.#editFrame = requestAnimationFrame(() => {
+      if (!this.#contentNode) return;
+      if (this.highlighter) {
+        this.#runHighlighter(this.#contentNode.firstChild);
+      } else if (this.#highlight) {
+        this.#highlightCode();
+      }
+    });
+  }
+
+  /**
+   * Opens the search bar on Ctrl+F / Cmd+F.
+   *
+   * @private
+   * @param {KeyboardEvent} event
+   */
+  #onHostKeydown(event) {
+    if (!this.#searchable || event.key !== 'f' || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+    event.preventDefault();
+
+    const input = this.#searchBar.querySelector('input');
+    this.#searchBar.hidden = false;
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Handles the search bar buttons.
+   *
+   * @private
+   * @param {MouseEvent} event
+   */
+  #onSearchClick(event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    switch (button.dataset.action) {
+      case 'case':
+      case 'regex':
+        button.setAttribute('aria-pressed', button.getAttribute('aria-pressed') !== 'true');
+        this.#onSearchInput();
+        break;
+      case 'previous':
+        this.findPrevious();
+        break;
+      case 'next':
+        this.findNext();
+        break;
+      case 'close':
+        this.#closeSearch();
+        break;
+    }
+  }
+
+  /**
+   * Searches as the reader types in the search bar.
+   *
+   * @private
+   */
+  #onSearchInput() {
+    const pressed = action => this.#searchBar.querySelector(`[data-action="${action}"]`).getAttribute('aria-pressed') === 'true';
+    this.find(this.#searchBar.querySelector('input').value, {
+      regex: pressed('regex'),
+      caseSensitive: pressed('case')
+    });
+  }
+
+  /**
+   * Moves between matches with Enter / Shift+Enter and closes the search bar with Escape.
+   *
+   * @private
+   * @param {KeyboardEvent} event
+   */
+  #onSearchKeydown(event) {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      if (event.shiftKey) this.findPrevious();
+      else this.findNext();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      this.#closeSearch();
+    }
+  }
+
+  /**
+   * Toggles a fold when a fold toggle in the gutter is clicked,
+   * or dispatches `line-click` when a line number is clicked.
+   *
+   * @private
+   * @param {MouseEvent} event
+   */
+  #onGutterClick(event) {
+    const toggle = event.target.closest?.('[data-fold]');
+    if (toggle) {
+      const start = parseInt(toggle.dataset.fold, 10);
+      if (!this.#folded.delete(start)) this.#folded.add(start);
+      this.#refold();
+      return;
+    }
+
+    const span = event.target.closest?.('[data-index]');
+    if (!span) return;
+
+    const index = parseInt(span.dataset.index, 10);
+    this.dispatchEvent(new CustomEvent('line-click', {
+      bubbles: true,
+      detail: { index, line: index + this.#firstLineNumber() }
+    }));
+  }
+
+  /**
+   * Copies the whole selection in virtual mode, including the lines that are not rendered.
+   *
+   * @private
+   * @param {ClipboardEvent} event
+   */
+  #onCopy(event) {
+    const selection = this.#virtualSelection;
+    if (!this.#window || !selection) return;
+    event.preventDefault();
+    event.clipboardData.setData('text/plain', this.#displayText.slice(selection.start, selection.end));
+  }
+
+  /**
+   * Handles Tab, Shift+Tab and Enter while editing, and Ctrl+A in virtual mode.
+   *
+   * @private
+   * @param {KeyboardEvent} event
+   */
+  #onKeydown(event) {
+    if (this.#window && event.key === 'a' && (event.ctrlKey || event.metaKey) && !event.altKey) {
+      // Selects the lines that are not rendered too
+      event.preventDefault();
+      this.#virtualSelection = { start: 0, end: this.#displayText.length };
+      this.#restoreSelection();
+      return;
+    }
+
+    if (!this.#contentNode.isContentEditable || event.isComposing) return;
+    if (event.key !== 'Tab' && event.key !== 'Enter') return;
+    if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+    const selection = this.#getSelectionOffsets();
+    if (!selection) return;
+    event.preventDefault();
+
+    const { start, end } = selection;
+    const content = this.#contentNode.textContent;
+    const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+
+    if (event.key === 'Enter') {
+      // Carry the indentation of the current line over to the new one
+      const indentation = content.slice(lineStart, start).match(/^[\t ]*/)[0];
+      this.#insertText(start, end, '\n' + indentation);
+      return;
+    }
+
+    if (!event.shiftKey && start === end) {
+      this.#insertText(start, end, '\t');
+      return;
+    }
+
+    // Indent or outdent every line touched by the selection
+    let blockEnd = content.indexOf('\n', end > start && content[end - 1] === '\n' ? end - 1 : end);
+    if (blockEnd === -1) blockEnd = content.length;
+
+    const lines = content.slice(lineStart, blockEnd).split('\n');
+    const outdent = new RegExp(`^(\t| {1,${this.#indent}})`);
+    const block = lines
+      .map(line => event.shiftKey ? line.replace(outdent, '') : '\t' + line)
+      .join('\n');
+
+    this.#insertText(lineStart, blockEnd, block);
+    this.#setSelectionOffsets(lineStart, lineStart + block.length);
+  }
+
+  /**
+   * Pastes clipboard contents as plain text while editing.
+   *
+   * @private
+   * @param {ClipboardEvent} event
+   */
+  #onPaste(event) {
+    if (!this.#contentNode.isContentEditable) return;
+    const selection = this.#getSelectionOffsets();
+    if (!selection) return;
+    event.preventDefault();
+    const text = event.clipboardData.getData('text/plain').replace(/\r\n?/g, '\n');
+    this.#insertText(selection.start, selection.end, text);
+  }
+
+  /**
+   * Renders other lines in virtual mode once the scroll position nears the edge of the rendered ones.
+   *
+   * @private
+   */
+  #onScroll() {
+    if (!this.#window) return;
+
+    if (this.#renderWindow()) {
+      this.#renderLineNumbers();
+      this.#decorateLines();
+      this.highlighter?.showWindow(this.#window.start, this.#window.end);
+      this.#restoreSelection();
+    }
+    this.#lineNumberElem.scrollTop = this.#contentNode.scrollTop;
+  }
+
+  /**
+   * Tracks the caret line so relative line numbers follow it, and the selection in virtual mode.
+   *
+   * @private
+   */
+  #onSelectionChange() {
+    if (this.#window) this.#trackSelection();
+    if (this.#lineNumbers !== 'relative') return;
+
+    const selection = this.#getSelectionOffsets();
+    if (!selection) return;
+
+    const line = (this.#window?.line ?? 0) + this.#contentNode.textContent.slice(0, selection.start).split('\n').length - 1;
+    if (line === this.#currentLine) return;
+    this.#currentLine = line;
+    this.#renderLineNumbers();
+  }
+
+  /**
+   * Parses a unified diff into plain text and a type for each line.
+   * File headers and "No newline" notes are dropped; hunk headers are kept.
+   *
+   * @private
+   * @param {string} string - The diff.
+   * @returns {{text: string, types: Array<string|null>}}
+   */
+  #parseDiff(string) {
+    string = (string || '').replace(/\r\n/g, '\n').replace(/^\n+/, '').trimEnd().replace(/\t/g, ' ');
+    let lines = string ? string.split('\n') : [];
+
+    const firstHunk = lines.findIndex(line => /^\s*@@/.test(line));
+    lines = lines.filter((line, i) => {
+      if (/^\s*\\ No newline/.test(line)) return false;
+      return firstHunk === -1 || i >= firstHunk || !/^\s*(diff |index |--- |\+\+\+ )/.test(line);
+    });
+
+    // The marker column is the indentation of the least indented changed line
+    const changed = lines.filter(line => /^\s*[+-]/.test(line));
+    const column = Math.min(...(changed.length ? changed : lines.filter(line => line.trim()))
+      .map(line => line.match(/^ */)[0].length));
+
+    const types = [];
+    const text = lines.map(line => {
+      const marker = line[column];
+      let code = line.slice(column + 1);
+
+      if (/^\s*@@/.test(line)) {
+        types.push('hunk');
+        code = line.trim();
+      } else if (marker === '+') {
+        types.push('inserted');
+      } else if (marker === '-') {
+        types.push('deleted');
+      } else {
+        types.push(null);
+      }
+
+      return code.replace(/^[ ]+/, (match) => '\t'.repeat(match.length));
+    }).join('\n');
+
+    return { text, types };
+  }
+
+  /**
+   * Parses a list of line numbers and ranges, such as "3,7-9".
+   *
+   * @private
+   * @param {string|null} list - The list to parse.
+   * @returns {Set<number>} The line numbers in the list.
+   */
+  #parseLineList(list) {
+    const numbers = new Set();
+    if (!list) return numbers;
+
+    for (const part of list.split(',')) {
+      const match = part.match(/^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/);
+      if (!match) continue;
+      const from = parseInt(match[1], 10);
+      const to = match[2] ? parseInt(match[2], 10) : from;
+      for (let n = Math.min(from, to); n <= Math.max(from, to); n++) numbers.add(n);
+    }
+
+    return numbers;
+  }
+
+  /**
+   * Normalizes indentation by removing common leading whitespace.
+   *
+   * @private
+   * @param {string} string - The code snippet to normalize.
+   * @returns {string} The normalized code snippet.
+   */
+  #resetSpaces(string) {
+    if (!string) return "";
+
+    // Standardize line breaks
+    string = string.replace(/\r\n/g, '\n');
+    string = string.replace(/^\n+/, '').trimEnd();
+    if (!string) return "";
+
+    // Normalize source tabs to spaces first so we have a consistent baseline
+    string = string.replace(/\t/g, ' ');
+
+    const lines = string.split("\n");
+
+    // Calculate the base HTML indentation from the first line
+    const firstLineMatch = lines[0].match(/^[ ]*/);
+    const baseIndent = firstLineMatch ? firstLineMatch[0].length : 0;
+
+    return lines.map(line => {
+      // Remove the base HTML indentation
+      const cleanLine = line.replace(new RegExp(`^[ ]{0,${baseIndent}}`), '');
+
+      // Replace each remaining leading space with a tab (1 space -> 1 tab)
+      return cleanLine.replace(/^[ ]+/g, (match) => '\t'.repeat(match.length));
+    }).join("\n");
+  }
+
+  /**
+   * Toggles edit mode by making `#content` editable.
+   * The content stays read-only while the element is `readonly`, disabled or showing a diff.
+   *
+   * @private
+   * @param {boolean} value - Whether the content should be editable.
+   */
+  #setEdit(value) {
+    if (!this.#contentNode) return;
+
+    if (value && !this.#readonly && !this.#disabled && !this.#diff && !this.#diffSources()) {
+      try {
+        this.#contentNode.contentEditable = 'plaintext-only';
+      } catch (error) {
+        // Older engines only understand "true"
+        this.#contentNode.contentEditable = 'true';
+      }
+      this.#contentNode.spellcheck = false;
+    } else {
+      this.#contentNode.removeAttribute('contenteditable');
+    }
+
+    this.#notify('edit', value);
+  }
+
+  /**
+   * Enables or disables the Ctrl+F search bar.
+   *
+   * @private
+   * @param {boolean} value - Whether the search bar is available.
+   */
+  #setSearchable(value) {
+    if (!this.#contentNode) return;
+
+    // #content must be focusable to receive Ctrl+F, and Ctrl+A in virtual mode
+    if (value) {
+      this.#contentNode.tabIndex = 0;
+    } else {
+      if (!this.#window) this.#contentNode.removeAttribute('tabindex');
+      if (!this.#searchBar.hidden) this.#closeSearch();
+    }
+  }
+
+  /**
+   * Adds or removes a custom state, exposed to CSS as `:state(name)`.
+   *
+   * @private
+   * @param {string} name - The state name.
+   * @param {boolean} value - Whether the state applies.
+   */
+  #setState(name, value) {
+    try {
+      if (value) {
+        this.#internals.states.add(name);
+      } else {
+        this.#internals.states.delete(name);
+      }
+    } catch (error) {
+      // CustomStateSet is not supported
+    }
+  }
+
+  /**
+   * Toggles inline display mode.
+   *
+   * @private
+   * @param {boolean} value - Whether the element should be inline.
+   */
+  #setInline(value) {
+    this.#inline = value;
+
+    if (value === true) {
+      this.style.setProperty('--wrap', 'nowrap');
+      this.lineNumbers = false;
+    } else {
+      this.style.setProperty('--wrap', this.#wrap);
+    }
+
+    this.#notify('inline', this.#inline);
+  }
+
+  /**
+   * Fills the gutter with one number per line. When long lines wrap, blank rows are added
+   * after a number so the next one lines up with its line.
+   *
+   * @private
+   */
+  #renderLineNumbers() {
+    if (!this.#lineNumberElem) return;
+
+    const foldable = this.#foldable && !this.#edit;
+    if (!this.#lineNumbers && !foldable) {
+      this.#lineNumberElem.innerHTML = "";
+      return;
+    }
+
+    // In virtual mode, only the rendered lines are numbered
+    const lines = this.#contentNode.textContent.split(/\n/);
+    const offset = this.#window?.line ?? 0;
+    const total = this.#window ? this.#displayStarts.length : lines.length;
+    const rows = this.#wraps() ? this.#measureRows(lines) : null;
+    const first = this.#firstLineNumber();
+    const relative = this.#lineNumbers === 'relative';
+    const current = Math.min(this.#currentLine, total - 1);
+    const regions = foldable ? this.#getFoldRegions() : null;
+    const fragment = document.createDocumentFragment();
+
+    lines.forEach((_, i) => {
+      const index = offset + i;
+      const line = this.#visibleLines ? this.#visibleLines[index] : index;
+
+      if (this.#lineNumbers) {
+        const span = document.createElement('span');
+        span.setAttribute('part', 'line-number');
+        span.dataset.index = line;
+        span.textContent = (relative && index !== current) ? Math.abs(index - current) : line + first;
+        fragment.append(span);
+      }
+
+      if (regions?.has(line)) {
+        const toggle = document.createElement('span');
+        toggle.setAttribute('part', 'fold-toggle');
+        toggle.dataset.fold = line;
+        toggle.textContent = this.#folded.has(line) ? '▸' : '▾';
+        fragment.append(toggle);
+      } else if (foldable) {
+        fragment.append(' ');
+      }
+
+      if (i < lines.length - 1) fragment.append('\n'.repeat(rows ? rows[i] : 1));
+    });
+
+    this.#lineNumberElem.replaceChildren(fragment);
+  }
+
+  /**
+   * Returns the offset at which each line of a text starts.
+   *
+   * @private
+   * @param {string} text
+   * @returns {number[]}
+   */
+  #lineStarts(text) {
+    const starts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+    return starts;
+  }
+
+  /**
+   * Counts how many visual rows each line occupies once wrapped. With the span fallback
+   * or server-rendered markup, a line may run across several text nodes.
+   *
+   * @private
+   * @param {string[]} lines - The displayed lines.
+   * @returns {number[]} The row count of each line.
+   */
+  #measureRows(lines) {
+    const walker = document.createTreeWalker(this.#contentNode, NodeFilter.SHOW_TEXT);
+    let node = walker.nextNode();
+    if (!node) return lines.map(() => 1);
+
+    // Offsets only grow, so the walk goes through the text nodes once
+    let nodeStart = 0;
+    const positionAt = offset => {
+      while (offset > nodeStart + node.length) {
+        const next = walker.nextNode();
+        if (!next) break;
+        nodeStart += node.length;
+        node = next;
+      }
+      return [node, Math.min(offset - nodeStart, node.length)];
+    };
+
+    const range = new Range();
+    let start = 0;
+
+    return lines.map(line => {
+      range.setStart(...positionAt(start));
+      range.setEnd(...positionAt(start + line.length));
+      start += line.length + 1;
+      const tops = new Set(Array.from(range.getClientRects(), rect => Math.round(rect.top)));
+      return Math.max(tops.size, 1);
+    });
+  }
+
+  /**
+   * Toggles line numbers.
+   *
+   * @private
+   * @param {boolean} value - Whether to show line numbers.
+   */
+  #setLineNumbers(value) {
+    if (!this.#lineNumberElem) return;
+
+    this.#renderLineNumbers();
+    if (value) this.inline = false;
+
+    this.#notify('lineNumbers', value);
+  }
+
+  /**
+   * Selects the text between two offsets inside `#content`.
+   *
+   * @private
+   * @param {number} start - The start offset.
+   * @param {number} [end=start] - The end offset.
+   */
+  #setSelectionOffsets(start, end = start) {
+    const positions = [start, end].map(offset => {
+      const walker = document.createTreeWalker(this.#contentNode, NodeFilter.SHOW_TEXT);
+      let node = walker.nextNode();
+      while (node) {
+        if (offset <= node.length) return [node, offset];
+        offset -= node.length;
+        const next = walker.nextNode();
+        if (!next) return [node, node.length];
+        node = next;
+      }
+      return [this.#contentNode, 0];
+    });
+
+    const selection = this.shadowRoot.getSelection ? this.shadowRoot.getSelection() : document.getSelection();
+    selection.setBaseAndExtent(...positions[0], ...positions[1]);
+  }
+
+  /**
+   * Writes text to `#content`. A single text node is edited in place, so the highlight
+   * ranges before and after the change move with the text instead of being dropped.
+   *
+   * @private
+   * @param {string} text - The text to display.
+   * @param {boolean} [collapse=false] - Replace server-rendered markup even if its text is the same.
+   */
+  #setText(text, collapse = false) {
+    // Markup rendered by the server stays while its text is current
+    if (this.#prerendered) {
+      if (!collapse && this.#contentNode.textContent === text) return;
+      this.#prerendered = false;
+    }
+
+    const node = this.#contentNode.firstChild;
+    if (this.#contentNode.childNodes.length !== 1 || node.nodeType !== Node.TEXT_NODE) {
+      this.#contentNode.textContent = text;
+      return;
+    }
+
+    const { start, oldEnd, newEnd } = changedRange(node.data, text);
+    if (oldEnd > start || newEnd > start) node.replaceData(start, oldEnd - start, text.slice(start, newEnd));
+  }
+
+  /**
+   * Returns the displayed text, including the lines virtual mode has not rendered.
+   *
+   * @private
+   * @returns {string}
+   */
+  #shownText() {
+    return this.#window ? this.#displayText : this.#contentNode?.textContent ?? '';
+  }
+
+  /**
+   * Selects the rendered part of the virtual mode selection, after other lines were rendered.
+   *
+   * @private
+   */
+  #restoreSelection() {
+    const saved = this.#virtualSelection;
+    if (!this.#window || !saved) return;
+
+    const { start, end } = this.#window;
+    if (saved.end < start || saved.start > end) {
+      // Nothing selected is rendered; an empty selection keeps #trackSelection from forgetting it
+      (this.shadowRoot.getSelection ? this.shadowRoot.getSelection() : document.getSelection())?.removeAllRanges();
+      return;
+    }
+    this.#setSelectionOffsets(Math.max(saved.start, start) - start, Math.min(saved.end, end) - start);
+  }
+
+  /**
+   * Renders the content again, even if it has not changed.
+   *
+   * @private
+   */
+  #rerender() {
+    if (!this.#contentNode) return;
+    this.#lastContent = null;
+    this.#update(0);
+  }
+
+  /**
+   * Finds the region starting at a content line, or else the innermost region enclosing it.
+   *
+   * @private
+   * @param {number} line - The content line index.
+   * @param {boolean} folded - Whether to look for a folded or an unfolded region.
+   * @returns {number|null} The region's first line, or null if there is none.
+   */
+  #regionAt(line, folded) {
+    const regions = this.#getFoldRegions();
+    let found = null;
+
+    for (const [start, end] of regions) {
+      if (this.#folded.has(start) !== folded) continue;
+      if (start === line) return start;
+      if (start < line && line <= end && (found === null || start > found)) found = start;
+    }
+
+    return found;
+  }
+
+  /**
+   * Displays the content again after folds or `max-lines` change, and re-highlights it.
+   *
+   * @private
+   */
+  #refold() {
+    if (!this.#contentNode || this.#lastContent === null) return;
+    this.#renderCode();
+    if (this.highlighter) this.#runHighlighter(this.#contentNode.firstChild);
+  }
+
+  /**
+   * Highlights the content again after it changed. The current highlights are patched
+   * rather than rebuilt, unless the content now calls for another syntax, like a `src`
+   * file of another type or another language detected by `highlight="auto"`.
+   *
+   * @private
+   */
+  #rehighlight() {
+    if (!this.#contentNode) return;
+    const syntax = this.#inferSyntax(this.#highlight);
+    if (!this.highlighter || syntax !== 'auto') {
+      if (this.highlighter && this.highlighter.syntax === syntax) this.#runHighlighter(this.#contentNode.firstChild);
+      else this.#highlightCode();
+      return;
+    }
+
+    this.#detectLanguage().then(language => {
+      if (!language || !this.#contentNode) return;
+      if (language === this.highlighter?.syntax) this.#runHighlighter(this.#contentNode.firstChild);
+      else this.#highlightCode(language);
+    });
+  }
+
+  /**
+   * Renders the lines around the scroll position in virtual mode, plus a screenful above and
+   * below. Padding stands in for the other lines, so the scroll height matches the whole text.
+   *
+   * @private
+   * @param {boolean} [force=false] - Render even if the scroll position is well within the rendered lines.
+   * @returns {boolean} True if other lines were rendered.
+   */
+  #renderWindow(force = false) {
+    const content = this.#contentNode;
+    const starts = this.#displayStarts ??= this.#lineStarts(this.#displayText);
+    const total = starts.length;
+    const style = getComputedStyle(content);
+    const height = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.25 || 16;
+
+    const first = Math.floor(content.scrollTop / height);
+    const shown = Math.ceil((content.clientHeight || height * 40) / height) + 1;
+    const buffer = Math.max(shown, 20);
+    const current = this.#window;
+
+    const inside = current
+      && (current.line === 0 || first - current.line >= buffer / 2)
+      && (current.line + current.count === total || current.line + current.count - (first + shown) >= buffer / 2);
+    if (!force && inside) return false;
+
+    const line = Math.max(0, Math.min(first - buffer, total - 1));
+    const end = Math.min(total, first + shown + buffer);
+    const start = starts[line];
+    const stop = end < total ? starts[end] - 1 : this.#displayText.length;
+    this.#window = { line, count: end - line, start, end: stop };
+    this.#setText(this.#displayText.slice(start, stop));
+
+    // The gutter does not scroll itself, so it also makes room for the horizontal scrollbar
+    const scrollbar = content.offsetHeight - content.clientHeight;
+    content.style.paddingTop = this.#lineNumberElem.style.paddingTop = `${line * height}px`;
+    content.style.paddingBottom = `${(total - end) * height}px`;
+    this.#lineNumberElem.style.paddingBottom = `${(total - end) * height + scrollbar}px`;
+    return true;
+  }
+
+  /**
+   * Writes the content to `#content`, leaving out folded lines and lines past `max-lines`,
+   * then refreshes the gutter and line decorations.
+   *
+   * @private
+   */
+  #renderCode() {
+    const content = this.#lastContent ?? '';
+    const lines = content.split('\n');
+    let visible = null;
+    let clipped = 0;
+
+    // Folding would lose the hidden text while editing
+    if (this.#edit) {
+      this.#folded.clear();
+    } else {
+      const regions = this.#getFoldRegions();
+      for (const start of this.#folded) {
+        if (!regions.has(start)) this.#folded.delete(start);
+      }
+
+      if (this.#folded.size) {
+        const hidden = new Set();
+        for (const start of this.#folded) {
+          for (let i = start + 1; i <= regions.get(start); i++) hidden.add(i);
+        }
+        visible = lines.map((_, i) => i).filter(i => !hidden.has(i));
+      }
+
+      const shown = visible ? visible.length : lines.length;
+      if (this.#maxLines && !this.#expanded && shown > this.#maxLines) {
+        visible = (visible ?? lines.map((_, i) => i)).slice(0, this.#maxLines);
+        clipped = lines.length - 1 - visible[visible.length - 1];
+      }
+    }
+
+    this.#visibleLines = visible;
+    this.#displayText = visible ? visible.map(i => lines[i]).join('\n') : content;
+    this.#displayStarts = null;
+
+    if (this.#isVirtual()) {
+      this.#contentNode.setAttribute('tabindex', '0');
+      this.#renderWindow(true);
+    } else {
+      if (this.#window) {
+        this.#window = null;
+        this.#virtualSelection = null;
+        if (!this.#searchable) this.#contentNode.removeAttribute('tabindex');
+        for (const elem of [this.#contentNode, this.#lineNumberElem]) {
+          elem.style.removeProperty('padding-top');
+          elem.style.removeProperty('padding-bottom');
+        }
+      }
+      this.#setText(this.#displayText);
+    }
+
+    this.#expandButton.hidden = clipped === 0;
+    if (clipped) this.#expandButton.textContent = `Expand ${clipped} more line${clipped === 1 ? '' : 's'}`;
+
+    this.#renderLineNumbers();
+    this.#decorateLines();
+  }
+
+  /**
+   * Finds the matches of the active search in the content.
+   *
+   * @private
+   * @returns {Array<[number, number]>} The start and end offsets of each match.
+   */
+  #runSearch() {
+    if (!this.#search || this.#lastContent === null) return [];
+
+    const { query, regex, caseSensitive } = this.#search;
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    let pattern;
+
+    try {
+      pattern = new RegExp(source, caseSensitive ? 'g' : 'gi');
+    } catch (error) {
+      return [];
+    }
+
+    const matches = [];
+    for (const match of this.#lastContent.matchAll(pattern)) {
+      if (match[0].length) matches.push([match.index, match.index + match[0].length]);
+    }
+    return matches;
+  }
+
+  /**
+   * Scrolls `#content` so the current search match is visible.
+   *
+   * @private
+   */
+  #scrollToMatch() {
+    if (this.#window && this.#currentSpan) this.#scrollToOffset(this.#currentSpan[0]);
+
+    const range = this.#currentMatchRange();
+    if (!range || !this.#contentNode) return;
+
+    const match = range.getBoundingClientRect();
+    const box = this.#contentNode.getBoundingClientRect();
+
+    if (match.top < box.top || match.bottom > box.bottom) {
+      this.#contentNode.scrollTop += match.top - box.top - (box.height - match.height) / 2;
+    }
+    if (match.left < box.left || match.right > box.right) {
+      this.#contentNode.scrollLeft += match.left - box.left - (box.width - match.width) / 2;
+    }
+
+    // The page itself may need to scroll when #content does not
+    const moved = range.getBoundingClientRect();
+    if (moved.top < 0 || moved.bottom > window.innerHeight) {
+      window.scrollBy({ top: moved.top - window.innerHeight / 2 });
+    }
+  }
+
+  /**
+   * Scrolls `#content` in virtual mode so the line holding an offset of the displayed text
+   * is rendered, centering it if it is out of view.
+   *
+   * @private
+   * @param {number} offset - The offset in the displayed text.
+   */
+  #scrollToOffset(offset) {
+    const content = this.#contentNode;
+    const starts = this.#displayStarts ??= this.#lineStarts(this.#displayText);
+    let low = 0, high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    const line = low;
+
+    const height = parseFloat(getComputedStyle(content).lineHeight) || 16;
+    const top = line * height;
+    if (top < content.scrollTop || top + height > content.scrollTop + content.clientHeight) {
+      content.scrollTop = top - (content.clientHeight - height) / 2;
+    }
+    this.#onScroll();
+  }
+
+  /**
+   * Re-extracts the displayed slice of the file loaded from `src`.
+   *
+   * @private
+   */
+  #slice() {
+    if (this.#srcFile === null) return;
+    const { text, offset, count } = this.#extract(this.#srcFile);
+    this.#srcText = text;
+    this.#lineOffset = offset;
+    this.#lineCount = count;
+    if (this.#contentNode) this.#update(0);
+  }
+
+  /**
+   * Records the selection in virtual mode as offsets in the displayed text. An extended selection
+   * that reaches the edge of the rendered lines keeps the part recorded beyond that edge.
+   *
+   * @private
+   */
+  #trackSelection() {
+    const selection = this.#getSelectionOffsets();
+    if (!selection) {
+      const native = this.shadowRoot.getSelection ? this.shadowRoot.getSelection() : document.getSelection();
+      if (native?.rangeCount) this.#virtualSelection = null;
+      return;
+    }
+
+    const { start, end, count } = { ...this.#window, count: this.#contentNode.textContent.length };
+    const saved = this.#virtualSelection;
+    const extended = saved && selection.end > selection.start;
+    this.#virtualSelection = {
+      start: extended && selection.start === 0 && saved.start < start ? saved.start : start + selection.start,
+      end: extended && selection.end === count && saved.end > end ? saved.end : start + selection.end
+    };
+  }
+
+  /**
+   * Debounced update method that refreshes content and highlighting.
+   *
+   * @private
+   * @param {number} [delay=10] - Debounce delay in milliseconds.
+   */
+  #update(delay = 10) {
+    clearTimeout(this.#updateTimeout);
+    this.#updateTimeout = setTimeout(() => {
+      const rawContent = this.#getContent();
+      if (rawContent === this.#lastEdit) return;
+      this.#lastEdit = null;
+      const newContent = this.#normalize(rawContent);
+      if (newContent === this.#lastContent) return;
+      this.#lastContent = newContent;
+      this.#foldRegions = null;
+      this.#renderCode();
+      this.#updateFormState();
+
+      if (this.#highlight) {
+        requestAnimationFrame(() => this.#rehighlight());
+      }
+    }, delay);
+  }
+
+  /**
+   * Syncs the submitted form value and validity with the current content.
+   *
+   * @private
+   */
+  #updateFormState() {
+    const value = this.value;
+    this.#internals.setFormValue(value);
+
+    if (this.#required && !this.#readonly && !value.trim()) {
+      this.#internals.setValidity({ valueMissing: true }, 'Please fill out this field.', this.#contentNode ?? undefined);
+    } else {
+      this.#internals.setValidity({});
+    }
+  }
+
+  /**
+   * Tells whether long lines wrap under the current `wrap` mode.
+   *
+   * @private
+   * @returns {boolean}
+   */
+  #wraps() {
+    return !this.#inline && !this.#window && !['pre', 'nowrap'].includes(this.#wrap);
+  }
+
+  /**
+   * Writes text to the light DOM, which is the source of truth for `value`.
+   * While a slice of a `src` file is shown, the text replaces that slice in the loaded file
+   * instead, so it is kept when `lines` or `region` change.
+   *
+   * @private
+   * @param {string} text - The text to write.
+   */
+  #writeContent(text) {
+    if (this.#srcText !== null) {
+      const lines = this.#srcFile.replace(/\r\n/g, '\n').split('\n');
+      const replacement = text === '' ? [] : text.split('\n');
+      lines.splice(this.#lineOffset, this.#lineCount, ...replacement);
+      this.#srcFile = lines.join('\n');
+      this.#lineCount = replacement.length;
+      this.#srcText = text;
+      return;
+    }
+
+    const child = this.firstElementChild;
+    if (child && child.localName === 'textarea') {
+      child.value = text;
+    } else {
+      this.textContent = text;
     }
   }
 
+  // Getters & Setters
+
+  /**
+   * Gets the copy button visibility state.
+   * @returns {boolean}
+   */
+  get copy() { return this.#copy; }
+
+  /**
+   * Sets the copy button visibility state.
+   * @param {boolean|string} value
+   */
+  set copy(value) {
+    this.toggleAttribute('copy', value !== 'false' && value !== false);
+  }
+
+  /**
+   * Gets the language picked by `highlight="auto"`, or null until one is detected.
+   * @returns {string|null}
+   */
+  get detectedLanguage() { return this.#detectedLanguage; }
+
+  /**
+   * Gets the diff mode state.
+   * @returns {boolean}
+   */
+  get diff() { return this.#diff; }
+
+  /**
+   * Sets the diff mode state.
+   * @param {boolean|string} value
+   */
+  set diff(value) {
+    this.toggleAttribute('diff', value !== 'false' && value !== false);
+  }
+
   /**
-   * Called when the element is added to the document.
-   * Initializes Shadow DOM, observers, and content.
+   * Gets the URL of the original file to compare.
+   * @returns {string|null}
    */
-  connectedCallback() {
-    if (!this.shadowRoot.hasChildNodes()) {
-        this.shadowRoot.append(ACode.template.content.cloneNode(true));
-    }
+  get diffFrom() { return this.#diffFrom; }
 
-    this.#contentNode = this.shadowRoot.querySelector("#content");
-    this.#lineNumberElem = this.shadowRoot.querySelector("#line-numbers");
-    this.#abortController = new AbortController();
-    this.#observer = new MutationObserver(this.#update.bind(this));
-    const initialContent = this.#resetSpaces(this.#getContent());
-    this.#lastContent = initialContent;
-    this.#contentNode.textContent = initialContent;
-    this.indent = this.#indent;
-    this.#setLineNumbers(this.#lineNumbers);
-    if (this.#highlight) this.#highlightCode();
+  /**
+   * Sets the URL of the original file to compare.
+   * @param {string} value
+   */
+  set diffFrom(value) {
+    this.setAttribute('diff-from', value);
+  }
 
-    this.#observer.observe(this, {
-      childList: true,
-      subtree: true,
-      characterData: true
-    });
+  /**
+   * Gets the URL of the changed file to compare.
+   * @returns {string|null}
+   */
+  get diffTo() { return this.#diffTo; }
+
+  /**
+   * Sets the URL of the changed file to compare.
+   * @param {string} value
+   */
+  set diffTo(value) {
+    this.setAttribute('diff-to', value);
   }
 
   /**
-   * Called when the element is removed from the document.
-   * Cleans up observers, timers, and highlighter instances.
+   * Gets the dimmed lines.
+   * @returns {string|boolean}
    */
-  disconnectedCallback() {
-    if (this.#abortController) {
-      this.#abortController.abort();
-      this.#abortController = null;
-    }
+  get dimLines() { return this.#dimLines; }
 
-    if (this.#observer) {
-      this.#observer.disconnect();
-      this.#observer = null;
+  /**
+   * Sets the dimmed lines. `true` dims every line not listed in `markLines`.
+   * @param {string|boolean} value
+   */
+  set dimLines(value) {
+    if (value === false || value === 'false') {
+      this.removeAttribute('dim-lines');
+    } else {
+      this.setAttribute('dim-lines', value === true ? '' : value);
     }
+  }
 
-    this.#destroyHighlights();
-    this.highlighter = null;
-    this.#palette = null;
-    this.#contentNode = null;
-    this.#lineNumberElem = null;
+  /**
+   * Gets the disabled state.
+   * @returns {boolean}
+   */
+  get disabled() { return this.hasAttribute('disabled'); }
+
+  /**
+   * Sets the disabled state.
+   * @param {boolean|string} value
+   */
+  set disabled(value) {
+    this.toggleAttribute('disabled', value !== 'false' && value !== false);
   }
 
-  // --- Private ---
+  /**
+   * Gets the edit state.
+   * @returns {boolean}
+   */
+  get edit() { return this.#edit; }
 
   /**
-   * Decodes HTML entities by creating a temporary textarea.
-   *
-   * @private
-   * @param {string} html - The HTML string to decode.
-   * @returns {string} The decoded string.
+   * Sets the edit state.
+   * @param {boolean|string} value
    */
-  #convertHTML(html) {
-    const elem = document.createElement("textarea");
-    elem.innerHTML = html;
-    return elem.value;
+  set edit(value) {
+    this.toggleAttribute('edit', value !== 'false' && value !== false);
   }
 
   /**
-   * Destroys the current highlighter instance and cleans up artifacts.
-   *
-   * @private
+   * Gets the inline state.
+   * @returns {boolean}
    */
-  #destroyHighlights() {
-    if (!this.highlighter) return;
-    try {
-      this.highlighter.destroy();
-    } catch (error) {
-      console.error(error);
-    }
+  get inline() { return this.#inline; }
+
+  /**
+   * Sets the inline state.
+   * @param {boolean|string} value
+   */
+  set inline(value) {
+    this.toggleAttribute('inline', value !== 'false' && value !== false);
   }
 
   /**
-   * Retrieves the raw content from the element.
-   * Prioritizes a child `<textarea>` if present, otherwise uses innerHTML.
-   *
-   * @private
-   * @returns {string} The raw content string.
+   * Gets the foldable state.
+   * @returns {boolean}
    */
-  #getContent() {
-    // Check if the first child is a Textarea
-    const child = this.firstElementChild;
-    if (child && child.localName === 'textarea') {
-      const val = child.value;
-      return val.replace(/\\\//g, "/");
-    }
+  get foldable() { return this.#foldable; }
 
-    // Default fallback: get innerHTML and decode entities
-    return this.#convertHTML(this.innerHTML);
+  /**
+   * Sets the foldable state.
+   * @param {boolean|string} value
+   */
+  set foldable(value) {
+    this.toggleAttribute('foldable', value !== 'false' && value !== false);
   }
 
   /**
-   * Initializes the syntax highlighter.
-   *
-   * @private
-   * @param {string|boolean} [syntax=this.#highlight] - The syntax language to highlight.
-   * @param {Object|null} [palette=this.palette] - The color palette to use.
+   * Gets the form that owns the element.
+   * @returns {HTMLFormElement|null}
    */
-  #highlightCode(syntax = this.#highlight, palette = this.palette) {
-    if (!this.#contentNode) return;
-    if (this.highlighter) this.highlighter.destroy();
-    if (syntax === 'false' || syntax === false) return;
+  get form() { return this.#internals.form; }
+
+  /**
+   * Gets the indentation level (tab size).
+   * @returns {number}
+   */
+  get indent() { return this.#indent; }
 
-    this.highlighter = new Highlighter(this, syntax, palette);
+  /**
+   * Sets the indentation level.
+   * @param {number} value
+   */
+  set indent(value) {
+    this.setAttribute('indent', value);
+  }
 
-    try {
-      const textNode = Array
-        .from(this.#contentNode.childNodes)
-        .find(n => n.nodeType === Node.TEXT_NODE);
+  /**
+   * Gets the current syntax highlighting language.
+   * @returns {string|boolean}
+   */
+  get highlight() { return this.#highlight; }
 
-      if (textNode) this.highlighter.highlight(textNode);
-      this.#notify('highlight', this.#highlight);
+  /**
+   * Sets the syntax highlighting language.
+   * @param {string|boolean} value
+   */
+  set highlight(value) {
+    this.setAttribute('highlight', value);
+  }
 
-    } catch (error) {
-      console.error("Highlighting failed", error);
+  /**
+   * Gets the lazy highlighting mode.
+   * @returns {boolean|string}
+   */
+  get lazy() { return this.#lazy; }
+
+  /**
+   * Sets the lazy highlighting mode: true, or "release" to also drop highlights far from the viewport.
+   * @param {boolean|string} value
+   */
+  set lazy(value) {
+    if (value === 'release') {
+      this.setAttribute('lazy', value);
+    } else {
+      this.toggleAttribute('lazy', value !== 'false' && value !== false);
     }
   }
 
   /**
-   * Notifies an external binder (e.g., `a-bind`) of property changes.
-   *
-   * @private
-   * @param {string} property - The property name.
-   * @param {*} value - The new value.
+   * Gets the line number visibility state.
+   * @returns {boolean|string}
    */
-  #notify(property, value) {
-    const binder = customElements.get('a-bind');
-    if (binder) binder.update(this, property, value);
+  get lineNumbers() { return this.#lineNumbers; }
+
+  /**
+   * Sets the line number visibility state. Pass "relative" to count from the caret line.
+   * @param {boolean|string} value
+   */
+  set lineNumbers(value) {
+    if (value === 'relative') {
+      this.setAttribute('line-numbers', value);
+    } else {
+      this.toggleAttribute('line-numbers', value !== 'false' && value !== false);
+    }
   }
 
   /**
-   * Normalizes indentation by removing common leading whitespace.
-   *
-   * @private
-   * @param {string} string - The code snippet to normalize.
-   * @returns {string} The normalized code snippet.
+   * Gets the number of the first line.
+   * @returns {number}
    */
-  #resetSpaces(string) {
-    if (!string) return "";
+  get lineStart() { return this.#lineStart; }
 
-    // Standardize line breaks
-    string = string.replace(/\r\n/g, '\n');
-    string = string.replace(/^\n+/, '').trimEnd();
-    if (!string) return "";
+  /**
+   * Sets the number of the first line.
+   * @param {number} value
+   */
+  set lineStart(value) {
+    this.setAttribute('line-start', value);
+  }
 
-    // Normalize source tabs to spaces first so we have a consistent baseline
-    string = string.replace(/\t/g, ' ');
+  /**
+   * Gets the marked lines.
+   * @returns {string|null}
+   */
+  get markLines() { return this.#markLines; }
 
-    const lines = string.split("\n");
+  /**
+   * Sets the marked lines, e.g. "3,7-9".
+   * @param {string} value
+   */
+  set markLines(value) {
+    this.setAttribute('mark-lines', value);
+  }
 
-    // Calculate the base HTML indentation from the first line
-    const firstLineMatch = lines[0].match(/^[ ]*/);
-    const baseIndent = firstLineMatch ? firstLineMatch[0].length : 0;
+  /**
+   * Gets the number of lines shown before the rest is collapsed.
+   * @returns {number}
+   */
+  get maxLines() { return this.#maxLines; }
 
-    return lines.map(line => {
-      // Remove the base HTML indentation
-      const cleanLine = line.replace(new RegExp(`^[ ]{0,${baseIndent}}`), '');
+  /**
+   * Sets the number of lines shown before the rest is collapsed. 0 shows every line.
+   * @param {number} value
+   */
+  set maxLines(value) {
+    this.setAttribute('max-lines', value);
+  }
 
-      // Replace each remaining leading space with a tab (1 space -> 1 tab)
-      return cleanLine.replace(/^[ ]+/g, (match) => '\t'.repeat(match.length));
-    }).join("\n");
+  /**
+   * Gets the name submitted with the form.
+   * @returns {string}
+   */
+  get name() { return this.getAttribute('name') ?? ''; }
+
+  /**
+   * Sets the name submitted with the form.
+   * @param {string} value
+   */
+  set name(value) {
+    this.setAttribute('name', value);
   }
 
   /**
-   * Toggles inline display mode.
-   *
-   * @private
-   * @param {boolean} value - Whether the element should be inline.
+   * Gets the range of file lines to display.
+   * @returns {string|null}
    */
-  #setInline(value) {
-    this.#inline = value;
+  get lines() { return this.#lines; }
 
-    if (value === true) {
-      this.style.setProperty('--wrap', 'nowrap');
-      this.lineNumbers = false;
-    } else {
-      this.style.setProperty('--wrap', this.#wrap);
-    }
+  /**
+   * Sets the range of file lines to display, e.g. "12-40".
+   * @param {string} value
+   */
+  set lines(value) {
+    this.setAttribute('lines', value);
+  }
 
-    this.#notify('inline', this.#inline);
+  /**
+   * Gets the current color palette.
+   * @returns {Object|null}
+   */
+  get palette() { return this.#palette; }
+
+  /**
+   * Sets the color palette.
+   * @param {Object|string} value
+   */
+  set palette(value) {
+    if (typeof value === 'object') {
+        value = JSON.stringify(value);
+    }
+    this.setAttribute('palette', value);
   }
 
   /**
-   * Toggles line numbers.
-   *
-   * @private
-   * @param {boolean} value - Whether to show line numbers.
+   * Gets the read-only state.
+   * @returns {boolean}
    */
-  #setLineNumbers(value) {
-    if (!this.#lineNumberElem) return;
-
-    if (value === true) {
-      const lines = this.#contentNode.textContent.split(/\n/).length;
-      const nums = Array.from({length: lines}, (_, i) => i + 1).join('\n');
-      this.#lineNumberElem.textContent = nums;
-      this.inline = false;
-    } else {
-      this.#lineNumberElem.innerHTML = "";
-    }
+  get readonly() { return this.#readonly; }
 
-    this.#notify('lineNumbers', value);
+  /**
+   * Sets the read-only state.
+   * @param {boolean|string} value
+   */
+  set readonly(value) {
+    this.toggleAttribute('readonly', value !== 'false' && value !== false);
   }
 
   /**
-   * Debounced update method that refreshes content and highlighting.
-   *
-   * @private
-   * @param {number} [delay=10] - Debounce delay in milliseconds.
+   * Gets the name of the file region to display.
+   * @returns {string|null}
    */
-  #update(delay = 10) {
-    clearTimeout(this.#updateTimeout);
-    this.#updateTimeout = setTimeout(() => {
-      const rawContent = this.#getContent();
-      const newContent = this.#resetSpaces(rawContent);
-      if (newContent === this.#lastContent) return;
-      this.#lastContent = newContent;
-      this.#contentNode.textContent = newContent;
+  get region() { return this.#region; }
 
-      if (this.highlighter) this.#destroyHighlights();
-      if (this.lineNumbers) this.#setLineNumbers(this.#lineNumbers);
-
-      if (this.#highlight) {
-        requestAnimationFrame(() => this.#highlightCode());
-      }
-    }, delay);
+  /**
+   * Sets the name of the file region to display.
+   * @param {string} value
+   */
+  set region(value) {
+    this.setAttribute('region', value);
   }
 
-  // Getters & Setters
-
   /**
-   * Gets the inline state.
+   * Gets the required state.
    * @returns {boolean}
    */
-  get inline() { return this.#inline; }
+  get required() { return this.#required; }
 
   /**
-   * Sets the inline state.
+   * Sets the required state.
    * @param {boolean|string} value
    */
-  set inline(value) {
-    this.toggleAttribute('inline', value !== 'false' && value !== false);
+  set required(value) {
+    this.toggleAttribute('required', value !== 'false' && value !== false);
   }
 
   /**
-   * Gets the indentation level (tab size).
-   * @returns {number}
+   * Gets the search bar availability.
+   * @returns {boolean}
    */
-  get indent() { return this.#indent; }
+  get search() { return this.#searchable; }
 
   /**
-   * Sets the indentation level.
-   * @param {number} value
+   * Sets the search bar availability.
+   * @param {boolean|string} value
    */
-  set indent(value) {
-    this.setAttribute('indent', value);
+  set search(value) {
+    this.toggleAttribute('search', value !== 'false' && value !== false);
   }
 
   /**
-   * Gets the current syntax highlighting language.
-   * @returns {string|boolean}
+   * Gets the URL of the file to display.
+   * @returns {string|null}
    */
-  get highlight() { return this.#highlight; }
+  get src() { return this.#src; }
 
   /**
-   * Sets the syntax highlighting language.
-   * @param {string|boolean} value
+   * Sets the URL of the file to display.
+   * @param {string} value
    */
-  set highlight(value) {
-    this.setAttribute('highlight', value);
+  set src(value) {
+    this.setAttribute('src', value);
   }
 
   /**
-   * Gets the line number visibility state.
-   * @returns {boolean}
+   * Gets the URL of the directory holding this element's syntax files.
+   * @returns {string|null}
    */
-  get lineNumbers() { return this.#lineNumbers; }
+  get syntaxBase() { return this.#syntaxBase; }
 
   /**
-   * Sets the line number visibility state.
-   * @param {boolean|string} value
+   * Sets the URL of the directory holding this element's syntax files.
+   * @param {string|null} value
    */
-  set lineNumbers(value) {
-    this.toggleAttribute('line-numbers', value !== 'false' && value !== false);
+  set syntaxBase(value) {
+    if (value === null) this.removeAttribute('syntax-base');
+    else this.setAttribute('syntax-base', value);
   }
 
   /**
-   * Gets the current color palette.
-   * @returns {Object|null}
+   * Gets the form control type.
+   * @returns {string}
    */
-  get palette() { return this.#palette; }
+  get type() { return this.localName; }
 
   /**
-   * Sets the color palette.
-   * @param {Object|string} value
+   * Gets the validity state.
+   * @returns {ValidityState}
    */
-  set palette(value) {
-    if (typeof value === 'object') {
-        value = JSON.stringify(value);
-    }
-    this.setAttribute('palette', value);
-  }
+  get validity() { return this.#internals.validity; }
+
+  /**
+   * Gets the validation message.
+   * @returns {string}
+   */
+  get validationMessage() { return this.#internals.validationMessage; }
+
+  /**
+   * Gets whether the element takes part in constraint validation.
+   * @returns {boolean}
+   */
+  get willValidate() { return this.#internals.willValidate; }
 
   /**
    * Gets the code content.
@@ -550,13 +3553,8 @@ export default class ACode extends HTMLElement {
     if (this.#getContent() === newValue) return;
 
     // Update the Source of Truth (Light DOM)
-    // check if a textarea exists
-    const child = this.firstElementChild;
-    if (child && child.localName === 'textarea') {
-      child.value = newValue;
-    } else {
-      this.textContent = newValue;
-    }
+    this.#writeContent(newValue);
+    this.#updateFormState();
 
     // Trigger the internal render/highlight loop
     // Pass 0 to skip the debounce delay for immediate UI feedback
@@ -565,6 +3563,34 @@ export default class ACode extends HTMLElement {
     this.#notify('value', newValue);
   }
 
+  /**
+   * Gets whether only the lines near the scroll position are rendered.
+   * @returns {boolean}
+   */
+  get virtual() { return this.#virtual; }
+
+  /**
+   * Sets whether only the lines near the scroll position are rendered.
+   * @param {boolean|string} value
+   */
+  set virtual(value) {
+    this.toggleAttribute('virtual', value !== 'false' && value !== false);
+  }
+
+  /**
+   * Gets whether tokenization runs in a Web Worker.
+   * @returns {boolean}
+   */
+  get worker() { return this.#worker; }
+
+  /**
+   * Sets whether tokenization runs in a Web Worker.
+   * @param {boolean|string} value
+   */
+  set worker(value) {
+    this.toggleAttribute('worker', value !== 'false' && value !== false);
+  }
+
   /**
    * Gets the whitespace wrapping mode.
    * @returns {string}
@@ -579,11 +3605,89 @@ export default class ACode extends HTMLElement {
 }
 
 /**
- * Manages syntax highlighting using the CSS Custom Highlight API.
- * Caches syntax definitions.
- * @type {Map<string, Object>}
+ * The largest number of line pairs `diff-from` and `diff-to` are compared by. Past it, the
+ * changed lines are all shown as deleted and then inserted, instead of filling a huge table.
+ * @type {number}
+ */
+const maxDiffCells = 4_000_000;
+
+/**
+ * Matches `#region name` and `#endregion` marker comments. The `#` is required, so an
+ * ordinary comment such as `// region of interest` is not a marker.
+ * @type {RegExp}
+ */
+const regionMarker = /^\s*(?:\/\/|#|\/\*|<!--)?\s*#(end)?region\b/;
+
+/**
+ * Whether the browser supports the CSS Custom Highlight API. Without it, tokens are wrapped in spans.
+ * @type {boolean}
  */
-const syntaxCache = new Map();
+const supportsHighlights = typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight === 'function';
+
+/**
+ * The Worker shared by all highlighters in worker mode.
+ * Null until first used, false if it could not be started.
+ * @type {Worker|null|false}
+ */
+let tokenizerWorker = null;
+
+/**
+ * Requests sent to the tokenizer Worker and still waiting for a reply, by id.
+ * @type {Map<number, {resolve: Function, reject: Function}>}
+ */
+const workerRequests = new Map();
+
+/**
+ * The id of the last request sent to the tokenizer Worker.
+ * @type {number}
+ */
+let workerRequestId = 0;
+
+/**
+ * Tokenizes code in the shared tokenizer Worker, starting it if needed.
+ * Resolves with null when a newer request with the same key superseded this one before it started.
+ *
+ * @param {string} code - The code to tokenize.
+ * @param {string} syntax - A syntax name, alias or URL.
+ * @param {string|URL|null} base - The directory holding syntax files.
+ * @param {string} key - Identifies the requester. Only its newest queued request is tokenized.
+ * @returns {Promise<Array<{type: string, start: number, end: number}>|null>} The tokens.
+ * @throws {Error} If the Worker cannot be started or cannot tokenize the code.
+ */
+function tokenizeInWorker(code, syntax, base, key) {
+  if (tokenizerWorker === false) return Promise.reject(new Error("Tokenizer worker is unavailable"));
+
+  if (!tokenizerWorker) {
+    tokenizerWorker = new Worker(new URL('./tokenizer.worker.js', import.meta.url), { type: 'module' });
+
+    tokenizerWorker.addEventListener('message', ({ data }) => {
+      const request = workerRequests.get(data.id);
+      workerRequests.delete(data.id);
+      if (!request) return;
+      if (data.error) request.reject(new Error(data.error));
+      else request.resolve(data.stale ? null : unpackTokens(data));
+    });
+
+    tokenizerWorker.addEventListener('error', event => {
+      event.preventDefault();
+      tokenizerWorker.terminate();
+      tokenizerWorker = false;
+      const error = new Error(`Tokenizer worker failed: ${event.message ?? 'could not load'}`);
+      workerRequests.forEach(request => request.reject(error));
+      workerRequests.clear();
+    });
+  }
+
+  // The Worker has no document, so a relative base is resolved here.
+  base ??= syntaxSettings.baseURL;
+  if (base) base = new URL(String(base).replace(/\/?$/, '/'), document.baseURI).href;
+
+  const id = ++workerRequestId;
+  return new Promise((resolve, reject) => {
+    workerRequests.set(id, { resolve, reject });
+    tokenizerWorker.postMessage({ id, key, code, syntax, base });
+  });
+}
 
 /**
  * Handles the logic of syntax highlighting.
@@ -599,40 +3703,22 @@ export class Highlighter {
   /** @private */ #element;
   /** @private */ #textNode;
   /** @private */ #latestRequestId = 0;
-
-  /**
-   * Default regular expressions for syntax tokens.
-   * @private
-   */
-  #defaultSyntaxDefs = {
-    argument: /(?<=\()[^)]+(?=\))/g,
-    operator: /[>~+*|=^$]/g,
-    property: /(?<!@)\b[\w-]+(?=:)/g,
-    number: /[+-]?\b\d*\.?\d+(?:e[+-]?\d+)?(?:%|[a-z]{1,4})?\b/ig,
-    tag: /<\/?[\w-]+|\/>|(?<=[\w"'])>/g,
-    string: /(["'])(?:\\.|[^\\])*?\1/g,
-    comment: /(<!--|\/\*)([\s\S]*?)(-->|\*\/)/g,
-    keyword: /@[\w]+\b/g,
-    variable: /--[\w\d]+-?[\w\d]*/g,
-    function: /[\w-]+\s*(?=\()/g,
-  };
+  /** @private */ #lineTypes = null;
+  /** @private */ #highlights = new Map();
+  /** @private */ #ranges = [];
+  /** @private */ #spans = false;
+  /** @private */ #state = null;
+  /** @private */ #syntaxBase = null;
+  /** @private */ #tokens = [];
+  /** @private */ #sortedTokens = null;
+  /** @private */ #window = null;
+  /** @private */ #worker = false;
 
   /**
    * Default color palette mapping token types to colors.
    * @private
    */
-  #defaultPalette = new Map([
-    ["argument", "hsl(32, 93%, 66%)"],
-    ["comment", "hsl(221, 12%, 69%)"],
-    ["function", "hsl(210, 50%, 60%)"],
-    ["keyword", "deeppink"],
-    ["number", "hsl(32, 93%, 50%)"],
-    ["operator", "red"],
-    ["property", "orchid"],
-    ["string", "hsl(114, 31%, 68%)"],
-    ["variable", "darkkhaki"],
-    ["tag", "indianred"],
-  ]);
+  #defaultPalette = defaultPalette;
 
   /**
    * Creates an instance of Highlighter.
@@ -641,69 +3727,187 @@ export class Highlighter {
    * @param {string} syntax - The syntax language identifier.
    * @param {Object|string} palette - The color palette definition.
    * @param {string} [id] - A unique identifier for the highlighter instance.
+   * @param {Object} [options]
+   * @param {string|URL} [options.syntaxBase] - The directory holding syntax files. Defaults to `ACode.syntaxBaseURL`.
+   * @param {boolean} [options.worker] - Tokenize in a Web Worker when the syntax is given by name.
+   * @param {boolean} [options.spans] - Wrap tokens in `<span part="token-…">` elements instead of using
+   *   CSS Custom Highlights. Defaults to true where the CSS Custom Highlight API is missing.
    * @throws {Error} If the passed element is not an HTMLElement.
    */
-  constructor(element, syntax, palette, id) {
+  constructor(element, syntax, palette, id, { syntaxBase = null, worker = false, spans = !supportsHighlights } = {}) {
     if (!(element instanceof HTMLElement)) {
       throw new Error("Element passed to Highlighter must be an HTML element");
     }
     this.#element = element;
     this.#syntax = syntax;
+    this.#syntaxBase = syntaxBase;
+    this.#worker = worker;
+    this.#spans = spans;
     this.setPalette(palette);
     this.#id = id || Math.random().toString(36).substring(2, 9);
 
-    this.#style = this.#createStyles();
-
-    // Attach styles to the component's shadow root to avoid global pollution
+    // Attach styles to the component's shadow root to avoid global pollution.
+    // Engines old enough to lack adopted stylesheets get a <style> element.
     const shadow = element.shadowRoot || element.attachShadow({ mode: 'open' });
-    shadow.adoptedStyleSheets = [...shadow.adoptedStyleSheets, this.#style];
+    if ('adoptedStyleSheets' in shadow) {
+      this.#style = new CSSStyleSheet();
+      this.#style.replaceSync(this.#createStyles());
+      shadow.adoptedStyleSheets = [...shadow.adoptedStyleSheets, this.#style];
+    } else {
+      this.#style = document.createElement('style');
+      this.#style.textContent = this.#createStyles();
+      shadow.append(this.#style);
+    }
   }
 
+  /**
+   * The color palette, mapping token types to colors.
+   * @type {Map<string, string>}
+   */
+  get palette() { return this.#palette; }
+
+  /**
+   * Whether tokens are wrapped in spans instead of CSS Custom Highlights.
+   * @type {boolean}
+   */
+  get spans() { return this.#spans; }
+
+  /**
+   * The syntax this highlighter was created for.
+   * @type {string|Object}
+   */
+  get syntax() { return this.#syntax; }
+
+  /**
+   * The tokens found by the last highlight.
+   * @type {Array<{type: string, start: number, end: number}>}
+   */
+  get tokens() { return this.#tokens; }
+
   // --- Public Methods ---
 
   /**
    * Cleans up the highlighter, removing styles and references.
    */
   destroy() {
+    this.#latestRequestId++;
     this.#deleteCssHighlights();
 
-    if (this.#element && this.#element.shadowRoot) {
+    // Spans are merged back into a single text node
+    const container = this.#textNode;
+    if (this.#spans && container?.nodeType === Node.ELEMENT_NODE && container.children.length) {
+      container.textContent = container.textContent;
+    }
+
+    if (this.#style instanceof HTMLStyleElement) {
+      this.#style.remove();
+    } else if (this.#element && this.#element.shadowRoot) {
       this.#element.shadowRoot.adoptedStyleSheets =
         this.#element.shadowRoot.adoptedStyleSheets.filter(s => s !== this.#style);
     }
 
     this.#element = null;
     this.#textNode = null;
+    this.#tokens = [];
+    this.#sortedTokens = null;
+    this.#ranges = [];
+    this.#state = null;
+    this.#window = null;
   }
 
   /**
    * Performs the syntax highlighting on the specified text node.
+   * After the first call, only the lines around what changed since the last call are
+   * tokenized again, and only their highlight ranges are replaced.
+   *
+   * With a view, the text node only holds part of the code: the whole code is tokenized,
+   * but only the tokens inside the view are highlighted.
+   *
+   * In span mode, the tokens are wrapped in spans instead, and the element holding the
+   * text node is highlighted: later calls may pass it, or any of its child nodes.
    *
    * @async
    * @param {Node} textNode - The text node containing the code.
+   * @param {Object} [view] - The whole code, and where the text node's text starts and ends in it.
+   * @param {string} view.text
+   * @param {number} view.start
+   * @param {number} view.end
+   * @returns {Promise<Array<Object>|null>} The tokens, or null if a newer call superseded this one or highlighting failed.
    */
-  async highlight(textNode) {
-    if (textNode && textNode.nodeType !== Node.TEXT_NODE) {
+  async highlight(textNode, view = null) {
+    if (this.#spans && textNode) {
+      const isToken = textNode.nodeType === Node.ELEMENT_NODE && /^token-/.test(textNode.getAttribute('part'));
+      if (textNode.nodeType === Node.TEXT_NODE || isToken) textNode = textNode.parentNode;
+    } else if (textNode && textNode.nodeType !== Node.TEXT_NODE) {
       if(textNode.childNodes.length > 0) {
          textNode = Array.from(textNode.childNodes).find(n => n.nodeType === Node.TEXT_NODE);
       }
       if (!textNode) textNode = document.createTextNode("");
     }
 
-    if (!(this.#textNode = textNode || this.#textNode)) return;
+    if (!(this.#textNode = textNode || this.#textNode)) return null;
     const currentRequestId = ++this.#latestRequestId;
     const defs = await this.#getSyntaxDefs(this.#syntax);
 
-    if (currentRequestId !== this.#latestRequestId) return;
+    if (currentRequestId !== this.#latestRequestId) return null;
     this.#defs = defs;
 
     try {
-      this.#doHighlights(this.#defs, this.#textNode);
+      const textNode = this.#textNode;
+      const source = view ? document.createTextNode(view.text)
+        : this.#spans ? document.createTextNode(textNode.textContent)
+        : textNode;
+      const result = await this.#tokenize(source, defs);
+      if (!result || currentRequestId !== this.#latestRequestId || result.code !== (view ? view.text : textNode.textContent)) return null;
+
+      if (this.#spans) {
+        this.#window = view && { start: view.start, end: view.end };
+        this.#tokens = result.tokens;
+        this.#sortedTokens = null;
+        this.#renderSpans();
+      } else if (view) {
+        this.#window = { start: view.start, end: view.end };
+        this.#tokens = result.tokens;
+        this.#sortedTokens = null;
+        this.#drawWindow();
+      } else {
+        this.#window = null;
+        this.#doHighlights(result, textNode);
+        this.#tokens = result.tokens;
+        this.#sortedTokens = null;
+      }
+      this.#state = result;
+      return result.tokens;
     } catch (error) {
       console.error("Error highlighting code:", error);
+      return null;
     }
   }
 
+  /**
+   * Moves the highlighted view after the text node was given another part of the code.
+   *
+   * @param {number} start - Where the text node's text starts in the code.
+   * @param {number} end - Where it ends.
+   */
+  showWindow(start, end) {
+    if (!this.#window || !this.#textNode) return;
+    this.#window = { start, end };
+    if (this.#spans) this.#renderSpans();
+    else this.#drawWindow();
+  }
+
+  /**
+   * Sets the diff type of each line of the code, so the code before the change and the code
+   * after it are tokenized apart. Takes effect on the next highlight.
+   *
+   * @param {Array<string|null>|null} types - 'inserted', 'deleted', 'hunk' or null for each line,
+   *   or null when the code is not a diff.
+   */
+  setLineTypes(types) {
+    this.#lineTypes = types?.some(Boolean) ? types : null;
+  }
+
   /**
    * Updates the color palette and regenerates styles.
    *
@@ -730,93 +3934,122 @@ export class Highlighter {
 
     this.#palette = map;
 
-    if (this.#style) {
-        const newSheet = this.#createStyles();
-        this.#style.replaceSync(newSheet.cssRules[0]?.cssText ? Array.from(newSheet.cssRules).map(r=>r.cssText).join(' ') : '');
+    if (this.#style instanceof HTMLStyleElement) {
+      this.#style.textContent = this.#createStyles();
+    } else if (this.#style) {
+      this.#style.replaceSync(this.#createStyles());
     }
   }
 
   // --- Private Methods
 
   /**
-   * Creates a CSS Highlight for a specific token type and set of ranges.
-   *
-   * @private
-   * @param {Set<Range>} ranges - The ranges to highlight.
-   * @param {string} key - The token type key (e.g., 'keyword').
-   */
-  #applyHighlight(ranges, key) {
-    if (!ranges || ranges.size === 0) return;
-    const highlightName = `${key}-${this.#id}`;
-    const highlight = new Highlight(...ranges);
-    CSS.highlights.set(highlightName, highlight);
-  }
-
-  /**
-   * Generates the CSSStyleSheet for the current palette.
+   * Generates the CSS rules for the current palette, for highlights or for token spans.
    *
    * @private
-   * @returns {CSSStyleSheet}
+   * @returns {string}
    */
   #createStyles() {
-    const sheet = new CSSStyleSheet();
     let rules = "";
     this.#palette.forEach((color, key) => {
-      const highlightName = `${key}-${this.#id}`;
-      rules += `::highlight(${highlightName}) { color: ${color}; } `;
+      const selector = this.#spans ? `[part~="token-${key}"]` : `::highlight(${key}-${this.#id})`;
+      rules += `${selector} { color: ${color}; } `;
     });
-    sheet.replaceSync(rules);
-    return sheet;
+    return rules;
   }
 
   /**
    * Removes all CSS Custom Highlights associated with this instance.
    */
   #deleteCssHighlights() {
-    if (!this.#defs) return;
-    for (const key of Object.keys(this.#defs)) {
+    for (const key of this.#highlights.keys()) {
       const highlightName = `${key}-${this.#id}`;
       CSS.highlights.delete(highlightName);
     }
+    this.#highlights.clear();
   }
 
   /**
-   * Applies highlights to the text node based on the syntax object.
+   * Applies highlights to the text node based on its tokens. Only the ranges of the spliced
+   * tokens are replaced; the others are kept, and moved back into place if the text node
+   * was replaced or rewritten instead of edited in place.
    *
    * @private
-   * @param {Object} syntaxObj - The syntax definitions.
+   * @param {Object} result - The tokens and the splice that produced them, from `retokenize`.
    * @param {Node} textNode - The text node to highlight.
    * @returns {number} The size of the CSS highlights set.
    */
-  #doHighlights(syntaxObj, textNode) {
+  #doHighlights({ tokens, first, removed, added }, textNode) {
     if (textNode.nodeType !== Node.TEXT_NODE) return 0;
 
-    const string = textNode.textContent;
+    if (!this.#ranges) {
+      // The last highlight only drew a view, so every range is drawn again
+      this.#deleteCssHighlights();
+      this.#ranges = [];
+      [first, removed, added] = [0, 0, tokens.length];
+    }
 
-    for (const [prop, value] of Object.entries(syntaxObj)) {
-      let ranges;
+    for (let i = first; i < first + removed; i++) {
+      const range = this.#ranges[i];
+      if (range) this.#highlights.get(this.#tokens[i].type)?.delete(range);
+    }
 
-      if (!value) {
-        continue;
-      } else if (Array.isArray(value)) {
-        const words = [...new Set(value)].map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join("|");
-        const regex = new RegExp(`\\b(${words})\\b`, "g");
-        ranges = this.#setRanges(regex, string, textNode);
-      } else if (typeof value === 'function') {
-        ranges = new Set(value(string, textNode));
-      } else if (value instanceof RegExp) {
-        ranges = this.#setRanges(value, string, textNode);
-      } else {
-        console.warn(`Invalid syntax definition for ${prop}`);
-        continue;
-      }
+    const ranges = new Array(added).fill(null);
+    for (let i = 0; i < added; i++) {
+      const { type, start, end } = tokens[first + i];
+      try {
+        const range = new Range();
+        range.setStart(textNode, start);
+        range.setEnd(textNode, end);
+        this.#highlightFor(type).add(range);
+        ranges[i] = range;
+      } catch (e) { /* ignore range errors */ }
+    }
+    this.#ranges = [...this.#ranges.slice(0, first), ...ranges, ...this.#ranges.slice(first + removed)];
+    this.#realign(tokens, textNode, first, added);
 
-      this.#applyHighlight(ranges, prop);
+    for (const [type, highlight] of this.#highlights) {
+      if (highlight.size) continue;
+      CSS.highlights.delete(`${type}-${this.#id}`);
+      this.#highlights.delete(type);
     }
 
     return CSS.highlights.size;
   }
 
+  /**
+   * Highlights the tokens inside the view, cut to its edges. The ranges are all drawn again,
+   * since the text node now holds other lines. Layers mode tokens are flattened first, so the
+   * ones inside the view can be found by their offsets.
+   *
+   * @private
+   */
+  #drawWindow() {
+    const textNode = this.#textNode;
+    const { start, end } = this.#window;
+    const tokens = this.#sortedTokens ??= flattenTokens(this.#tokens);
+    this.#deleteCssHighlights();
+    this.#ranges = null;
+    if (textNode.nodeType !== Node.TEXT_NODE) return;
+
+    let low = 0, high = tokens.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (tokens[mid].end <= start) low = mid + 1;
+      else high = mid;
+    }
+
+    for (let i = low; i < tokens.length && tokens[i].start < end; i++) {
+      const { type } = tokens[i];
+      try {
+        const range = new Range();
+        range.setStart(textNode, Math.max(tokens[i].start, start) - start);
+        range.setEnd(textNode, Math.min(tokens[i].end, end) - start);
+        this.#highlightFor(type).add(range);
+      } catch (e) { /* ignore range errors */ }
+    }
+  }
+
   /**
    * Retrieves syntax definitions, loading them dynamically if necessary.
    *
@@ -824,55 +4057,187 @@ export class Highlighter {
    * @param {string|Object} syntax - The syntax identifier or definition object.
    * @returns {Promise<Object>} The syntax definition object.
    */
-  async #getSyntaxDefs(syntax) {
-    if (!syntax || syntax === 'html') return this.#defaultSyntaxDefs;
+  #getSyntaxDefs(syntax) {
+    return loadSyntax(syntax, this.#syntaxBase);
+  }
 
-    if (typeof syntax === "object") {
-        syntaxCache.set("custom", syntax);
-        return syntax;
-    }
+  /**
+   * Wraps the tokens in `<span part="token-…">` elements, for browsers without the CSS
+   * Custom Highlight API. With a view, only the tokens inside it are wrapped. Overlapping
+   * tokens are flattened first, so the later one wins as it would when painted. The selection
+   * is kept at the same text offsets, so the caret stays put while editing.
+   *
+   * @private
+   */
+  #renderSpans() {
+    const container = this.#textNode;
+    const text = container.textContent;
+    const offset = this.#window?.start ?? 0;
+    const tokens = this.#sortedTokens ??= flattenTokens(this.#tokens);
 
-    if (syntaxCache.has(syntax)) {
-      return syntaxCache.get(syntax);
+    const root = container.getRootNode();
+    const selection = root.getSelection ? root.getSelection() : document.getSelection();
+    const range = selection?.rangeCount ? selection.getRangeAt(0) : null;
+    const offsetOf = (node, index) => {
+      const before = document.createRange();
+      before.setStart(container, 0);
+      before.setEnd(node, index);
+      return before.toString().length;
+    };
+    const caret = range && container.contains(range.startContainer) && container.contains(range.endContainer)
+      ? [offsetOf(range.startContainer, range.startOffset), offsetOf(range.endContainer, range.endOffset)]
+      : null;
+
+    const fragment = document.createDocumentFragment();
+    for (const piece of splitByTokens(text, tokens, offset)) {
+      if (piece.type === null) {
+        fragment.append(piece.text);
+        continue;
+      }
+      const span = document.createElement('span');
+      span.setAttribute('part', `token-${piece.type}`);
+      span.textContent = piece.text;
+      fragment.append(span);
     }
 
-    let url = syntax;
-    if (!/^(http|\.|\/)/.test(syntax)) url = `./syntax.${syntax}.js`;
+    container.textContent = '';
+    container.append(fragment);
 
-    try {
-      const module = await import(url);
-      const defs = module.default;
-      syntaxCache.set(syntax, defs);
-      return defs;
-    } catch (error) {
-      console.warn(`Could not load syntax file: ${url}. Reverting to default.`, error);
-      return this.#defaultSyntaxDefs;
+    if (caret) {
+      const positions = caret.map(index => {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+          if (index <= node.length) return [node, index];
+          index -= node.length;
+        }
+        return [container, container.childNodes.length];
+      });
+      selection.setBaseAndExtent(...positions[0], ...positions[1]);
+    }
+  }
+
+  /**
+   * Returns the CSS Highlight for a token type, registering it if needed.
+   *
+   * @private
+   * @param {string} type - The token type.
+   * @returns {Highlight}
+   */
+  #highlightFor(type) {
+    if (!this.#highlights.has(type)) {
+      const highlight = new Highlight();
+      CSS.highlights.set(`${type}-${this.#id}`, highlight);
+      this.#highlights.set(type, highlight);
     }
+    return this.#highlights.get(type);
   }
 
   /**
-   * Finds all matches for a regex in a string and creates Ranges.
+   * Moves the kept ranges back onto their tokens. Edits made in place shift ranges along
+   * with the text, so a few ranges are checked first and the rest only if one is out of place.
    *
    * @private
-   * @param {RegExp} regex - The regular expression to match.
-   * @param {string} string - The text content.
-   * @param {Node} node - The text node.
-   * @returns {Set<Range>} A set of Range objects.
+   * @param {Array<Object>} tokens - The tokens, parallel to the ranges.
+   * @param {Node} textNode - The text node to highlight.
+   * @param {number} first - The index of the first new range.
+   * @param {number} added - The number of new ranges.
    */
-  #setRanges(regex, string, node) {
-    const ranges = new Set();
-    const matches = string.matchAll(regex);
+  #realign(tokens, textNode, first, added) {
+    const misplaced = i => {
+      const range = this.#ranges[i];
+      return !!range && (range.startContainer !== textNode
+        || range.startOffset !== tokens[i].start
+        || range.endOffset !== tokens[i].end);
+    };
 
-    for (const match of matches) {
-      if (match[0].length === 0) continue;
+    const samples = [0, first - 1, first + added, tokens.length - 1];
+    if (!samples.some(i => i >= 0 && i < tokens.length && misplaced(i))) return;
+
+    for (let i = 0; i < tokens.length; i++) {
+      if ((i >= first && i < first + added) || !misplaced(i)) continue;
       try {
-        const range = new Range();
-        range.setStart(node, match.index);
-        range.setEnd(node, match.index + match[0].length);
-        ranges.add(range);
+        this.#ranges[i].setStart(textNode, tokens[i].start);
+        this.#ranges[i].setEnd(textNode, tokens[i].end);
       } catch (e) { /* ignore range errors */ }
     }
-    return ranges;
+  }
+
+  /**
+   * Tokenizes a diff as two streams: the code before the change, made of the context and
+   * deleted lines, and the code after it, made of the context and inserted lines. A string
+   * or comment left open on one side then does not run into the other. Hunk headers are
+   * left out, and context lines take their tokens from the code after the change.
+   *
+   * @private
+   * @param {string} code - The displayed diff, without markers.
+   * @param {Object} defs - The syntax definitions.
+   * @returns {Promise<Array<{type: string, start: number, end: number}>>} Sorted tokens without overlaps.
+   */
+  async #tokenizeDiff(code, defs) {
+    const lines = code.split('\n');
+    const types = this.#lineTypes;
+    const starts = [0];
+    for (let i = 1; i < lines.length; i++) starts.push(starts[i - 1] + lines[i - 1].length + 1);
+
+    const tokens = [];
+    for (const side of ['deleted', 'inserted']) {
+      const other = side === 'deleted' ? 'inserted' : 'deleted';
+      const indexes = lines.map((_, i) => i).filter(i => types[i] !== other && types[i] !== 'hunk');
+      const text = indexes.map(i => lines[i]).join('\n');
+      const found = flattenTokens(await tokenize(text, defs, { base: this.#syntaxBase, node: document.createTextNode(text) }));
+
+      // Tokens come sorted, so the line holding each one is found by walking forward
+      let row = 0;
+      let rowStart = 0;
+      for (const { type, start, end } of found) {
+        while (row < indexes.length - 1 && rowStart + lines[indexes[row]].length < start) {
+          rowStart += lines[indexes[row++]].length + 1;
+        }
+        // A token running over several lines is cut at each line end
+        for (let r = row, from = rowStart; r < indexes.length && from < end; from += lines[indexes[r++]].length + 1) {
+          const line = indexes[r];
+          const pieceStart = Math.max(start, from);
+          const pieceEnd = Math.min(end, from + lines[line].length);
+          if (pieceEnd <= pieceStart || (side === 'deleted' && types[line] !== 'deleted')) continue;
+          tokens.push({ type, start: starts[line] + pieceStart - from, end: starts[line] + pieceEnd - from });
+        }
+      }
+    }
+
+    return tokens.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Splits the text into tokens, in the tokenizer Worker when worker mode is on.
+   * The Worker only receives syntaxes by name, since definitions with functions cannot be posted to it.
+   * Syntaxes registered on the page and a custom `syntaxLoader` are unknown to it. Otherwise, or if
+   * the Worker fails this time, the tokens are found on the main thread; the next highlight tries
+   * the Worker again.
+   *
+   * @private
+   * @param {Text} textNode - The text node holding the code.
+   * @param {Object} defs - The syntax definitions, used on the main thread.
+   * @returns {Promise<Object|null>} The tokens and how they differ from the last ones, as from `retokenize`,
+   *   or null if a newer request superseded this one.
+   */
+  async #tokenize(textNode, defs) {
+    const code = textNode.textContent;
+    if (this.#lineTypes) return spliceTokens(this.#state, code, await this.#tokenizeDiff(code, defs));
+
+    const useWorker = this.#worker
+      && typeof this.#syntax === 'string'
+      && !syntaxSettings.loader
+      && !isRegisteredSyntax(this.#syntax)
+      && typeof Worker !== 'undefined';
+
+    if (useWorker) {
+      try {
+        const tokens = await tokenizeInWorker(code, this.#syntax, this.#syntaxBase, this.#id);
+        return tokens && spliceTokens(this.#state, code, tokens);
+      } catch (e) { /* tokenized on the main thread below */ }
+    }
+
+    return retokenize(this.#state, code, defs, { base: this.#syntaxBase, node: textNode });
   }
 }
 
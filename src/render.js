@@ -0,0 +1,155 @@
+/**
+ * @file render.js
+ * Renders highlighted code to static HTML, for places where neither the custom element nor
+ * the CSS Custom Highlight API is available: emails, feeds and server-side rendered pages.
+ * Like tokenizer.js, this module does not touch the DOM.
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ */
+
+import { flattenTokens, tokenize } from './tokenizer.js';
+
+/**
+ * The default color palette, mapping token types to colors.
+ * @type {Map<string, string>}
+ */
+export const defaultPalette = new Map([
+  ["argument", "hsl(32, 93%, 66%)"],
+  ["comment", "hsl(221, 12%, 69%)"],
+  ["function", "hsl(210, 50%, 60%)"],
+  ["keyword", "deeppink"],
+  ["number", "hsl(32, 93%, 50%)"],
+  ["operator", "red"],
+  ["property", "orchid"],
+  ["string", "hsl(114, 31%, 68%)"],
+  ["variable", "darkkhaki"],
+  ["tag", "indianred"],
+]);
+
+/**
+ * Characters escaped in HTML text and attribute values.
+ * @type {Object<string, string>}
+ */
+const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+/**
+ * Escapes text for use in HTML.
+ *
+ * @param {string} text
+ * @param {boolean} [attribute=false] - Also escape double quotes, for attribute values.
+ * @returns {string}
+ */
+function escapeHTML(text, attribute = false) {
+  return text.replace(attribute ? /[&<>"]/g : /[&<>]/g, char => entities[char]);
+}
+
+/**
+ * Turns a palette in any of the forms `<a-code>` accepts into a Map.
+ *
+ * @param {Map|Object|Array|string} [palette='default'] - A Map, an object or array of entries,
+ *   their JSON, or "default".
+ * @returns {Map<string, string>} The palette, or the default palette if it cannot be read.
+ */
+export function resolvePalette(palette = 'default') {
+  if (palette instanceof Map) return palette;
+  if (palette === 'default' || palette == null) return defaultPalette;
+
+  try {
+    const value = typeof palette === 'string' ? JSON.parse(palette) : palette;
+    return new Map(Array.isArray(value) ? value : Object.entries(value));
+  } catch (error) {
+    console.warn("Invalid palette, using default.", palette);
+    return defaultPalette;
+  }
+}
+
+/**
+ * Generates the CSS that colors the class names of `renderToHTML` output.
+ *
+ * @param {Map|Object|Array|string} [palette='default'] - The color palette.
+ * @returns {string} One rule per token type, e.g. `.a-code .token-keyword { color: deeppink; }`.
+ */
+export function paletteToCSS(palette = 'default') {
+  return Array.from(resolvePalette(palette), ([type, color]) => `.a-code .token-${type} { color: ${color}; }`).join('\n');
+}
+
+/**
+ * Splits text into pieces that are each covered by a single token, or by none.
+ *
+ * @param {string} text - The text: the whole code, or a part of it.
+ * @param {Array<{type: string, start: number, end: number}>} tokens - Tokens sorted by start without
+ *   overlaps, as from `flattenTokens`, with offsets in the whole code.
+ * @param {number} [offset=0] - Where the text starts in the code.
+ * @returns {Array<{text: string, type: string|null}>} The pieces, in order. Tokens are cut to the text.
+ */
+export function splitByTokens(text, tokens, offset = 0) {
+  let low = 0, high = tokens.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (tokens[mid].end <= offset) low = mid + 1;
+    else high = mid;
+  }
+
+  const pieces = [];
+  let last = 0;
+  for (let i = low; i < tokens.length && tokens[i].start - offset < text.length; i++) {
+    const start = Math.max(tokens[i].start - offset, last);
+    const end = Math.min(tokens[i].end - offset, text.length);
+    if (end <= start) continue;
+    if (start > last) pieces.push({ text: text.slice(last, start), type: null });
+    pieces.push({ text: text.slice(start, end), type: tokens[i].type });
+    last = end;
+  }
+  if (last < text.length) pieces.push({ text: text.slice(last), type: null });
+  return pieces;
+}
+
+/**
+ * Renders code and its tokens to HTML. Tokens may come in any order and overlap, as layers
+ * mode returns them: where they overlap, the later token wins, as it does on the page.
+ *
+ * @param {string} code - The code.
+ * @param {Array<{type: string, start: number, end: number}>} tokens - The tokens, as from `tokenize`.
+ * @param {Object} [options]
+ * @param {Map|Object|Array|string} [options.palette='default'] - The color palette, for inline styles.
+ * @param {boolean} [options.inlineStyles=false] - Color each token with a `style` attribute instead of a class name.
+ * @returns {string} A `<pre class="a-code"><code>` element holding the code.
+ */
+export function renderTokens(code, tokens, { palette = 'default', inlineStyles = false } = {}) {
+  const colors = inlineStyles ? resolvePalette(palette) : null;
+  let html = '';
+
+  for (const { text, type } of splitByTokens(code, flattenTokens(tokens))) {
+    const escaped = escapeHTML(text);
+    if (type === null) {
+      html += escaped;
+    } else if (!inlineStyles) {
+      html += `<span class="token-${escapeHTML(type, true)}">${escaped}</span>`;
+    } else if (colors.has(type)) {
+      html += `<span style="color: ${escapeHTML(colors.get(type), true)}">${escaped}</span>`;
+    } else {
+      html += escaped;
+    }
+  }
+
+  return `<pre class="a-code"><code>${html}</code></pre>`;
+}
+
+/**
+ * Highlights code to static HTML, loading the syntax files the live highlighter uses.
+ *
+ * @async
+ * @param {string} code - The code to highlight.
+ * @param {Object} [options]
+ * @param {string|Object|false} [options.syntax='html'] - A syntax name, alias, URL or definitions object.
+ *   False renders the code without highlighting.
+ * @param {Map|Object|Array|string} [options.palette='default'] - The color palette, for inline styles.
+ * @param {boolean} [options.inlineStyles=false] - Color each token with a `style` attribute instead of
+ *   a class name. Class names are colored by the CSS from `paletteToCSS`.
+ * @param {string|URL} [options.base] - The directory holding syntax files.
+ * @returns {Promise<string>} A `<pre class="a-code"><code>` element holding the code.
+ */
+export async function renderToHTML(code, { syntax = 'html', palette = 'default', inlineStyles = false, base = null } = {}) {
+  const tokens = syntax === false ? [] : await tokenize(code, syntax, { base });
+  return renderTokens(code, tokens, { palette, inlineStyles });
+}
@@ -5,8 +5,9 @@
  *  @license GPL-3.0
  */
 export default {
-	argument: function(string, node) {
-		const ranges = [];
+	// returns [start, end] pairs rather than Ranges, so it also runs without a DOM
+	argument: function(string) {
+		const spans = [];
 		const regex = /\(\s*[\w]+(?:\s*,\s*([\w]+))*\s*\)/g
 		const matches = string.matchAll(regex);
 
@@ -17,13 +18,10 @@ export default {
 				// avoid partial matches which indexOf would trip on
 				const re = new RegExp('\\b' + item + '\\b');
 				const start = idx + match[0].search(re);
-				const range = new Range();
-				range.setStart (node, start);
-				range.setEnd (node, start + item.length);
-				ranges.push(range);
+				spans.push([start, start + item.length]);
 			}
 		}
-		return ranges;
+		return spans;
 	},
 	operator: /\+|-|(?<!(\/|\/\*{1,}|\n\s*))\*(?!\/)|(?<![\/\*])\/(?![\/\*])|%|===|!==|>=|<=|>|<|!=|=|&&|\|\||(?<!#)!/g,
 	number: /[+.-]?\d+[\^\b\.\w]*/g,
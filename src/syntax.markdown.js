@@ -0,0 +1,40 @@
+/**
+ * @file syntax.markdown.js
+ * Markdown syntax definition file for a-code web component.
+ * Fenced code blocks are highlighted with the syntax named after the opening fence.
+ */
+export default {
+  states: {
+    root: [
+      // ```js ... ```
+      {
+        type: 'string',
+        match: /^[ \t]*(`{3,}|~{3,})[ \t]*([\w+#-]*).*$/m,
+        push: 'fence',
+        embed: ([, , language]) => language,
+        end: ([, fence]) => new RegExp(`^[ \\t]*${fence}`, 'm'),
+      },
+      { type: 'comment', match: /<!--[\s\S]*?-->|^[ \t]*>.*$/m },
+      { type: 'keyword', match: /^[ \t]*#{1,6}[ \t].*$/m },
+      { type: 'operator', match: /^[ \t]*(?:[-*+]|\d+[.)])(?=[ \t])|^[ \t]*(?:[-*_][ \t]*){3,}$/m },
+      { type: 'string', match: /`[^`\n]+`/ },
+      { type: 'function', match: /!?\[[^\]\n]*\](?=\()/, push: 'link' },
+      { type: 'variable', match: /\*\*[^*\n]+\*\*|__[^_\n]+__/ },
+      { type: 'property', match: /\*[^*\n]+\*|\b_[^_\n]+_\b/ },
+      { type: 'tag', match: /<\/?[\w-]+[^>\n]*>/ },
+    ],
+
+    // the destination of a link or image: (url "title")
+    link: {
+      type: 'argument',
+      rules: [
+        { match: ')', pop: true },
+      ],
+    },
+
+    // the lines of a fenced code block that are not delegated to another syntax
+    fence: [
+      { type: 'string', match: ([, fence]) => new RegExp(`^[ \\t]*${fence}[\`~]*[ \\t]*$`, 'm'), pop: true },
+    ],
+  },
+};
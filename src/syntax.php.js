@@ -3,8 +3,9 @@
  * PHP syntax definition file for a-code web component
  */
 export default {
-  argument: function(string, node) {
-    const ranges = [];
+  // returns [start, end] pairs rather than Ranges, so it also runs without a DOM
+  argument: function(string) {
+    const spans = [];
 
     // Regex to find the start of a function definition.
     // Matches "function", optional whitespace, optional name, whitespace, and opening "("
@@ -76,14 +77,7 @@ export default {
               const start = currentArgStart + matchIndex;
               const end = start + fullMatchString.length;
 
-              try {
-                const range = new Range();
-                range.setStart(node, start);
-                range.setEnd(node, end);
-                ranges.push(range);
-              } catch (e) {
-                console.warn("Could not create range for argument", fullMatchString, e);
-              }
+              spans.push([start, end]);
             }
           }
 
@@ -93,7 +87,7 @@ export default {
       }
     }
 
-    return ranges;
+    return spans;
   },
 
   // Matches PHP variables: starts with $ followed by valid chars
@@ -3,8 +3,9 @@
  * Python syntax definition file for a-code web component
  */
 export default {
-  argument: function(string, node) {
-    const ranges = [];
+  // returns [start, end] pairs rather than Ranges, so it also runs without a DOM
+  argument: function(string) {
+    const spans = [];
 
     // Regex to find the start of a function definition:
     // Matches "def", whitespace, function name, whitespace, and opening "("
@@ -73,14 +74,7 @@ export default {
               const start = currentArgStart + nameMatch.index + nameOffsetInMatch;
               const end = start + argName.length;
 
-              try {
-                const range = new Range();
-                range.setStart(node, start);
-                range.setEnd(node, end);
-                ranges.push(range);
-              } catch (e) {
-                console.warn("Could not create range for argument", argName, e);
-              }
+              spans.push([start, end]);
             }
           }
 
@@ -92,7 +86,7 @@ export default {
       }
     }
 
-    return ranges;
+    return spans;
   },
   // Matches standard operators, bitwise, comparison, assignment, and delimiter colons/dots
   operator: /\+|-|\*|\/|%|\*\*|\/\/|=|==|!=|<=|>=|<|>|&|\||\^|~|!|:|(?<![a-zA-Z0-9_])\.(?![a-zA-Z0-9_])/g,
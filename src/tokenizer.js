@@ -0,0 +1,988 @@
+/**
+ * @file tokenizer.js
+ * Splits code into tokens using a-code syntax definitions.
+ * This module does not touch the DOM, so it runs in browsers, Workers and Node alike.
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ */
+
+/**
+ * The default syntax: HTML with embedded CSS, JavaScript and PHP.
+ * CSS rules also apply outside of tags, so plain CSS snippets are highlighted too.
+ * @type {Object}
+ */
+const htmlSyntax = {
+  detect: [/<!doctype html/i, /<\/[a-z][\w-]*\s*>/i],
+  states: {
+    root: [
+      { type: 'comment', match: /<!--[\s\S]*?-->/ },
+      { type: 'tag', match: /<\?(?:php\b|=)?/, embed: 'php', end: '?>' },
+      { type: 'tag', match: '?>' },
+      { type: 'tag', match: /<script\b/i, push: 'script' },
+      { type: 'tag', match: /<style\b/i, push: 'style' },
+      { type: 'tag', match: /<\/?[\w-]+/, push: 'attributes' },
+      { include: 'css' },
+    ],
+    attributes: [
+      { type: 'tag', match: /\/?>/, pop: true },
+      { type: 'property', match: /[^\s"'>\/=]+/ },
+      { type: 'string', match: /(["'])[\s\S]*?\1/ },
+      { type: 'operator', match: '=' },
+    ],
+    script: [
+      { type: 'tag', match: '>', pop: true, embed: 'javascript', end: /<\/script\b/i },
+      { include: 'attributes' },
+    ],
+    style: [
+      { type: 'tag', match: '>', pop: true, push: 'stylesheet' },
+      { include: 'attributes' },
+    ],
+    stylesheet: [
+      { match: /(?=<\/style\b)/i, pop: true },
+      { include: 'css' },
+    ],
+    css: [
+      { type: 'comment', match: /\/\*[\s\S]*?\*\// },
+      { type: 'string', match: /(["'])(?:\\.|[^\\])*?\1/ },
+      { type: 'keyword', match: /@[\w-]+\b/ },
+      { type: 'variable', match: /--[\w-]+/ },
+      { type: 'function', match: /[\w-]+\s*(?=\()/ },
+      { type: 'function', match: /\((?=[^)\n]*\))/, push: 'arguments' },
+      { type: 'property', match: /(?<!@)\b[\w-]+(?=:)/ },
+      { type: 'number', match: /[+-]?\b\d*\.?\d+(?:e[+-]?\d+)?(?:%|[a-z]{1,4})?\b/i },
+      { type: 'operator', match: /[>~+*|=^$]/ },
+    ],
+    arguments: {
+      type: 'argument',
+      rules: [
+        { type: 'function', match: ')', pop: true },
+        { match: /(?=\n)/, pop: true },
+        { include: 'css' },
+      ],
+    },
+  },
+};
+
+/**
+ * Registered syntax definitions, by name.
+ * @type {Map<string, Object>}
+ */
+const syntaxCache = new Map([["html", htmlSyntax]]);
+
+/**
+ * Loaded syntax definitions, by the URL of their syntax file, with the bare name they were loaded by.
+ * The same name in two base directories is two entries.
+ * @type {Map<string, {name: string|null, defs: Object}>}
+ */
+const loadedSyntaxes = new Map();
+
+/**
+ * Telltale patterns of the syntax files shipped with the component. Language detection only
+ * imports a bundled syntax that is not loaded yet when one of its patterns is found in the code.
+ * @type {Object<string, RegExp[]>}
+ */
+const bundledSyntaxes = {
+  javascript: [
+    /\b(?:const|let|var)\s+[\w$]+\s*=/,
+    /=>/,
+    /\bfunction\b[\s\w$]*\(/,
+    /^\s*(?:import|export)\b.*(?:\bfrom\b|\bdefault\b|\{)/m,
+  ],
+  markdown: [
+    /^#{1,6}[ \t]/m,
+    /^[ \t]*(?:`{3,}|~{3,})/m,
+    /\[[^\]\n]+\]\([^)\n]+\)/,
+  ],
+  php: [
+    /<\?php\b/,
+    /\$\w+\s*(?:=[^=>]|->)/,
+  ],
+  python: [
+    /^\s*def\s+\w+\s*\(.*\)\s*(?:->.*)?:/m,
+    /^\s*from\s+[\w.]+\s+import\b/m,
+    /^\s*import\s+[\w.]+(?:\s+as\s+\w+)?\s*$/m,
+    /^\s*(?:if|elif|else|for|while|try|except|class|with)\b.*:\s*$/m,
+  ],
+};
+
+/**
+ * Maps alternative syntax names to the names they stand for.
+ * @type {Map<string, string>}
+ */
+const syntaxAliases = new Map([
+  ["htm", "html"],
+  ["js", "javascript"],
+  ["md", "markdown"],
+  ["py", "python"],
+]);
+
+/**
+ * Maps file extensions to syntax names, used to infer the syntax of files loaded through `src`.
+ * @type {Map<string, string>}
+ */
+const extensions = new Map([
+  ["cjs", "javascript"],
+  ["css", "html"],
+  ["htm", "html"],
+  ["html", "html"],
+  ["js", "javascript"],
+  ["markdown", "markdown"],
+  ["md", "markdown"],
+  ["mjs", "javascript"],
+  ["php", "php"],
+  ["py", "python"],
+]);
+
+/**
+ * Where and how syntax files are loaded. `ACode.syntaxBaseURL` and `ACode.syntaxLoader` set these.
+ * @type {{baseURL: string|URL|null, loader: ((name: string) => Promise<Object|undefined>)|null}}
+ */
+export const syntaxSettings = {
+  baseURL: null,
+  loader: null,
+};
+
+/**
+ * Resolves a syntax alias to the name it stands for.
+ *
+ * @param {string} name - A syntax name or alias.
+ * @returns {string} The syntax name.
+ */
+export function syntaxName(name) {
+  return syntaxAliases.get(name) ?? name;
+}
+
+/**
+ * Returns the syntax name a file extension is inferred as.
+ *
+ * @param {string} ext - The extension, without the dot.
+ * @returns {string|undefined} The syntax name, if known.
+ */
+export function syntaxForExtension(ext) {
+  return extensions.get(ext.toLowerCase());
+}
+
+/**
+ * Tells whether a syntax is named by a URL or path rather than by a bare name.
+ *
+ * @param {string} name - The syntax name.
+ * @returns {boolean}
+ */
+function isSyntaxURL(name) {
+  return /^(http|\.|\/)/.test(name);
+}
+
+/**
+ * Resolves the URL a syntax is imported from. Bare names become `syntax.[name].js` in the base
+ * directory, or next to this module without one. URLs and paths are resolved as `import()` would.
+ *
+ * @param {string} name - The syntax name, URL or path.
+ * @param {string|URL|null} [base] - The directory holding syntax files. Defaults to `syntaxSettings.baseURL`.
+ * @returns {string} The absolute URL.
+ */
+function syntaxURL(name, base = null) {
+  if (isSyntaxURL(name)) return new URL(name, import.meta.url).href;
+
+  base ??= syntaxSettings.baseURL;
+  if (!base) return new URL(`syntax.${name}.js`, import.meta.url).href;
+  const page = globalThis.document?.baseURI ?? globalThis.location?.href ?? import.meta.url;
+  return new URL(`syntax.${name}.js`, new URL(String(base).replace(/\/?$/, '/'), page)).href;
+}
+
+/**
+ * Returns the definitions of a registered syntax, or of one already loaded from a base directory.
+ *
+ * @param {string} name - The syntax name, alias or URL.
+ * @param {string|URL|null} [base] - The directory holding syntax files. Defaults to `syntaxSettings.baseURL`.
+ * @returns {Object|undefined} The syntax definitions, if known.
+ */
+function findSyntax(name, base = null) {
+  name = syntaxName(name);
+  return syntaxCache.get(name) ?? loadedSyntaxes.get(syntaxURL(name, base))?.defs;
+}
+
+/**
+ * Returns the definitions of a registered or already loaded syntax.
+ * Loaded syntaxes are looked up in `syntaxSettings.baseURL`.
+ *
+ * @param {string} name - The syntax name or one of its aliases.
+ * @returns {Object|undefined} The syntax definitions, if known.
+ */
+export function getSyntax(name) {
+  return findSyntax(name);
+}
+
+/**
+ * Tells whether a syntax was registered on this page with `registerSyntax`. A Worker has a
+ * registry of its own that only holds the built-in html syntax, so it cannot tokenize these.
+ *
+ * @param {string} name - The syntax name or one of its aliases.
+ * @returns {boolean}
+ */
+export function isRegisteredSyntax(name) {
+  const defs = syntaxCache.get(syntaxName(name));
+  return !!defs && defs !== htmlSyntax;
+}
+
+/**
+ * Lists the names of the registered and already loaded syntaxes.
+ *
+ * @returns {string[]} The sorted syntax names.
+ */
+export function listSyntaxes() {
+  const loaded = [...loadedSyntaxes.values()].map(({ name }) => name).filter(Boolean);
+  return [...new Set([...syntaxCache.keys(), ...loaded])].filter(name => !isSyntaxURL(name)).sort();
+}
+
+/**
+ * Registers syntax definitions under a name. Registering an existing name replaces its definitions.
+ *
+ * @param {string} name - The syntax name.
+ * @param {Object} defs - The syntax definitions.
+ * @param {Object} [options]
+ * @param {string[]} [options.aliases=[]] - Other names for the syntax.
+ * @param {string[]} [options.extensions=[]] - File extensions inferred as this syntax.
+ * @throws {Error} If the name is empty or the definitions are not an object.
+ */
+export function registerSyntax(name, defs, { aliases = [], extensions: exts = [] } = {}) {
+  if (!name || typeof name !== 'string') throw new Error("Syntax name must be a non-empty string");
+  if (!defs || typeof defs !== 'object') throw new Error(`Syntax definitions for '${name}' must be an object`);
+
+  syntaxCache.set(name, defs);
+  syntaxAliases.delete(name);
+  for (const alias of aliases) syntaxAliases.set(alias, name);
+  for (const ext of exts) extensions.set(ext.replace(/^\./, '').toLowerCase(), name);
+}
+
+/**
+ * Retrieves syntax definitions, loading them dynamically if necessary.
+ * Bare names are asked of `syntaxSettings.loader` first, then imported from `syntax.[name].js`;
+ * URLs and paths are always imported. Loaded syntaxes are cached by the URL they come from.
+ *
+ * @param {string|Object} syntax - The syntax identifier or definition object.
+ * @param {string|URL|null} [base] - The directory holding syntax files. Defaults to `syntaxSettings.baseURL`.
+ * @param {Object|null} [fallback] - Returned when the syntax file cannot be loaded.
+ * @returns {Promise<Object>} The syntax definition object.
+ */
+export async function loadSyntax(syntax, base = null, fallback = htmlSyntax) {
+  if (!syntax) return syntaxCache.get('html');
+  if (typeof syntax === "object") return syntax;
+
+  const name = syntaxName(syntax);
+  if (syntaxCache.has(name)) {
+    return syntaxCache.get(name);
+  }
+
+  const bare = !isSyntaxURL(name);
+  const url = syntaxURL(name, base);
+  if (loadedSyntaxes.has(url)) {
+    return loadedSyntaxes.get(url).defs;
+  }
+
+  try {
+    const defs = (bare ? await syntaxSettings.loader?.(name) : undefined) ?? (await import(url)).default;
+    loadedSyntaxes.set(url, { name: bare ? name : null, defs });
+    return defs;
+  } catch (error) {
+    console.warn(`Could not load syntax file: ${url}.${fallback ? ' Reverting to default.' : ''}`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Tells how many of some telltale patterns are found in the code.
+ *
+ * @param {string} code - The code to search.
+ * @param {RegExp|RegExp[]} [patterns] - The patterns.
+ * @returns {number} The number of patterns found.
+ */
+function countHints(code, patterns = []) {
+  return [patterns].flat()
+    .filter(pattern => pattern instanceof RegExp)
+    .filter(pattern => new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '')).test(code))
+    .length;
+}
+
+/**
+ * Scores how well a syntax describes some code.
+ * The score is the share of non-whitespace characters covered by tokens, keywords counting double,
+ * plus a quarter for each of the syntax's telltale patterns found in the code.
+ *
+ * @param {string} code - The code to score.
+ * @param {Object} defs - The syntax definitions.
+ * @param {RegExp[]} [hints] - The telltale patterns; the `detect` array of the definitions by default.
+ * @returns {number} The score.
+ */
+function scoreSyntax(code, defs, hints = defs.detect) {
+  const weights = new Uint8Array(code.length);
+  const node = globalThis.document?.createTextNode(code);
+  for (const { type, start, end } of tokenizeSync(code, defs, node)) {
+    const weight = type === 'keyword' ? 2 : 1;
+    for (let i = start; i < end; i++) {
+      if (weights[i] < weight) weights[i] = weight;
+    }
+  }
+
+  let total = 0;
+  let score = 0;
+  for (let i = 0; i < code.length; i++) {
+    if (code.charCodeAt(i) <= 32) continue;
+    total++;
+    score += weights[i];
+  }
+
+  return (total ? score / (total * 2) : 0) + countHints(code, hints) / 4;
+}
+
+/**
+ * Picks the syntax that best describes some code, among the registered, loaded and bundled syntaxes.
+ * Only the first few thousand characters are scored. A bundled syntax that is not loaded yet is
+ * only imported when one of its telltale patterns is found, so detection does not fetch every file.
+ *
+ * @param {string} code - The code to identify.
+ * @param {string|URL|null} [base] - The directory holding syntax files.
+ * @returns {Promise<{language: string, score: number}>} The best syntax name and its score.
+ */
+export async function detectSyntax(code, base = null) {
+  const sample = code.slice(0, 5000);
+  const names = [...new Set([...Object.keys(bundledSyntaxes), ...listSyntaxes()])];
+  const candidates = await Promise.all(names.map(async name => {
+    const defs = findSyntax(name, base) ?? findSyntax(name);
+    if (defs || !countHints(sample, bundledSyntaxes[name])) return [name, defs];
+    return [name, await loadSyntax(name, base, null)];
+  }));
+
+  let best = { language: 'html', score: 0 };
+  for (const [language, defs] of candidates) {
+    if (!defs) continue;
+    try {
+      const score = scoreSyntax(sample, defs, defs.detect ?? bundledSyntaxes[language]);
+      if (score > best.score) best = { language, score };
+    } catch (error) {
+      console.warn(`Could not score syntax: ${language}`, error);
+    }
+  }
+  return best;
+}
+
+
+/**
+ * Splits code into tokens, loading the syntax and any syntax embedded in it as needed.
+ * Needs no DOM, so syntax definitions can run in Node, in a Worker or at build time.
+ *
+ * @param {string} code - The code to tokenize.
+ * @param {string|Object} [syntax='html'] - A syntax name, alias or URL, or a definitions object.
+ * @param {Object} [options]
+ * @param {string|URL} [options.base] - The directory holding syntax files.
+ * @param {Node} [options.node] - A text node holding the code, for function rules that return Ranges.
+ * @param {Object|null} [options.fallback] - The syntax used when `syntax` cannot be loaded. Pass null to throw instead.
+ * @returns {Promise<Array<{type: string, start: number, end: number}>>} The tokens. Grammar and tokens mode
+ *   syntaxes give them sorted by start, without overlaps. Layers mode syntaxes, as well as grammars that embed
+ *   one, give them in rule order, and they may overlap: where they do, the later token is painted on top.
+ *   Pass them through `flattenTokens` to get sorted tokens without overlaps.
+ * @throws {Error} If the syntax cannot be loaded and there is no fallback.
+ */
+export async function tokenize(code, syntax = 'html', { base = null, node, fallback = htmlSyntax } = {}) {
+  const defs = await loadSyntax(syntax, base, fallback);
+  if (!defs) throw new Error(`Could not load syntax: ${syntax}`);
+
+  // Embedded syntaxes are loaded as they are found, then the code is tokenized again.
+  const embedded = new Map();
+  const resolve = name => {
+    if (!embedded.has(name)) embedded.set(name, findSyntax(name, base));
+    return embedded.get(name);
+  };
+
+  let tokens = tokenizeSync(code, defs, node, resolve);
+  let missing = [...embedded.keys()].filter(name => embedded.get(name) === undefined);
+
+  while (missing.length) {
+    await Promise.all(missing.map(async name => embedded.set(name, await loadSyntax(name, base, null))));
+    tokens = tokenizeSync(code, defs, node, resolve);
+    missing = [...embedded.keys()].filter(name => embedded.get(name) === undefined);
+  }
+
+  return tokens;
+}
+
+/**
+ * Tokenizes a new version of some code, scanning again only from a line before the edit
+ * until the scan falls back in step with the previous tokens. The result describes the
+ * change as a splice: `added` tokens starting at index `first` replace `removed` previous ones.
+ * Pass it back as `previous` for the next version.
+ *
+ * Rules that look ahead more than a line past an edit may leave tokens stale until the next full tokenize.
+ *
+ * @param {Object|null} previous - The result for the previous version, or null to tokenize everything.
+ * @param {string} code - The new version of the code.
+ * @param {string|Object} [syntax='html'] - A syntax name, alias or URL, or a definitions object.
+ * @param {Object} [options]
+ * @param {string|URL} [options.base] - The directory holding syntax files.
+ * @param {Node} [options.node] - A text node holding the code, for function rules that return Ranges.
+ * @returns {Promise<{code: string, defs: Object, tokens: Array<Object>, checkpoints: Array<number>|null,
+ *   first: number, removed: number, added: number}>} The tokens of the new version and how they changed.
+ */
+export async function retokenize(previous, code, syntax = 'html', { base = null, node } = {}) {
+  const defs = await loadSyntax(syntax, base);
+
+  const embedded = new Map();
+  const resolve = name => {
+    if (!embedded.has(name)) embedded.set(name, findSyntax(name, base));
+    return embedded.get(name);
+  };
+
+  let result = retokenizeSync(previous, code, defs, node, resolve);
+  let missing = [...embedded.keys()].filter(name => embedded.get(name) === undefined);
+
+  // Newly loaded syntaxes may change tokens outside the edit, so everything is tokenized again.
+  while (missing.length) {
+    await Promise.all(missing.map(async name => embedded.set(name, await loadSyntax(name, base, null))));
+    result = retokenizeSync(previous && { ...previous, checkpoints: null }, code, defs, node, resolve);
+    missing = [...embedded.keys()].filter(name => embedded.get(name) === undefined);
+  }
+
+  return result;
+}
+
+/**
+ * Finds the part of a text that differs between two versions.
+ *
+ * @param {string} before - The previous version.
+ * @param {string} after - The new version.
+ * @returns {{start: number, oldEnd: number, newEnd: number}} The changed part spans `start` to `oldEnd`
+ *   in the previous version and `start` to `newEnd` in the new one.
+ */
+export function changedRange(before, after) {
+  const length = Math.min(before.length, after.length);
+  let start = 0;
+  while (start < length && before.charCodeAt(start) === after.charCodeAt(start)) start++;
+
+  let oldEnd = before.length;
+  let newEnd = after.length;
+  while (oldEnd > start && newEnd > start && before.charCodeAt(oldEnd - 1) === after.charCodeAt(newEnd - 1)) {
+    oldEnd--;
+    newEnd--;
+  }
+  return { start, oldEnd, newEnd };
+}
+
+/**
+ * Describes the tokens of a new version of some code as a splice of the previous tokens,
+ * keeping the unchanged tokens before and after the edit out of it.
+ *
+ * @param {Object|null} previous - The previous `{code, tokens}`, or null.
+ * @param {string} code - The new version of the code.
+ * @param {Array<Object>} tokens - The tokens of the new version.
+ * @returns {{code: string, tokens: Array<Object>, checkpoints: null, first: number, removed: number, added: number}}
+ */
+export function spliceTokens(previous, code, tokens) {
+  const before = previous?.tokens ?? [];
+  const { start, oldEnd, newEnd } = changedRange(previous?.code ?? '', code);
+  const delta = newEnd - oldEnd;
+  const same = (a, b, shift) => a.type === b.type && a.start + shift === b.start && a.end + shift === b.end;
+
+  let first = 0;
+  while (first < before.length && first < tokens.length && before[first].end <= start && same(before[first], tokens[first], 0)) first++;
+
+  let removed = before.length - first;
+  let added = tokens.length - first;
+  while (removed && added && before[first + removed - 1].start >= oldEnd
+    && same(before[first + removed - 1], tokens[first + added - 1], delta)) {
+    removed--;
+    added--;
+  }
+
+  return { code, tokens, checkpoints: null, first, removed, added };
+}
+
+/**
+ * Packs tokens into a type list and a flat `[type, start, end, ...]` array,
+ * which can be transferred to or from a Worker without copying.
+ *
+ * @param {Array<{type: string, start: number, end: number}>} tokens - The tokens to pack.
+ * @returns {{types: Array<string>, data: Uint32Array}} The packed tokens.
+ */
+export function packTokens(tokens) {
+  const types = [];
+  const index = new Map();
+  const data = new Uint32Array(tokens.length * 3);
+
+  tokens.forEach(({ type, start, end }, i) => {
+    if (!index.has(type)) index.set(type, types.push(type) - 1);
+    data[i * 3] = index.get(type);
+    data[i * 3 + 1] = start;
+    data[i * 3 + 2] = end;
+  });
+  return { types, data };
+}
+
+/**
+ * Turns tokens packed by `packTokens` back into token objects.
+ *
+ * @param {{types: Array<string>, data: Uint32Array}} packed - The packed tokens.
+ * @returns {Array<{type: string, start: number, end: number}>} The tokens.
+ */
+export function unpackTokens({ types, data }) {
+  const tokens = new Array(data.length / 3);
+  for (let i = 0; i < tokens.length; i++) {
+    tokens[i] = { type: types[data[i * 3]], start: data[i * 3 + 1], end: data[i * 3 + 2] };
+  }
+  return tokens;
+}
+
+/**
+ * Turns tokens that may overlap, as layers mode returns them, into sorted tokens that do not.
+ * Where tokens overlap, the one later in the list wins, as it is painted over the others:
+ * the text it covers is cut out of the tokens below it.
+ *
+ * @param {Array<{type: string, start: number, end: number}>} tokens - The tokens, in order of precedence.
+ * @returns {Array<{type: string, start: number, end: number}>} The tokens sorted by start, without overlaps.
+ *   Tokens that are already sorted and apart are returned as they are.
+ */
+export function flattenTokens(tokens) {
+  let flat = true;
+  for (let i = 1; i < tokens.length && flat; i++) flat = tokens[i].start >= tokens[i - 1].end;
+  if (flat) return tokens;
+
+  const order = tokens.map((_, i) => i)
+    .filter(i => tokens[i].end > tokens[i].start)
+    .sort((a, b) => tokens[a].start - tokens[b].start || a - b);
+  const points = [...new Set(tokens.flatMap(({ start, end }) => [start, end]))].sort((a, b) => a - b);
+
+  // A max-heap of the indexes of the tokens open at a point; closed ones are dropped once on top
+  const open = [];
+  const push = index => {
+    let i = open.push(index) - 1;
+    while (i > 0 && open[(i - 1) >> 1] < open[i]) {
+      [open[i], open[(i - 1) >> 1]] = [open[(i - 1) >> 1], open[i]];
+      i = (i - 1) >> 1;
+    }
+  };
+  const pop = () => {
+    const last = open.pop();
+    if (!open.length) return;
+    open[0] = last;
+    for (let i = 0; ;) {
+      const left = i * 2 + 1;
+      const child = left + 1 < open.length && open[left + 1] > open[left] ? left + 1 : left;
+      if (child >= open.length || open[child] < open[i]) break;
+      [open[i], open[child]] = [open[child], open[i]];
+      i = child;
+    }
+  };
+
+  const result = [];
+  let next = 0;
+  let lastIndex = -1;
+  for (let p = 0; p < points.length - 1; p++) {
+    const start = points[p];
+    while (next < order.length && tokens[order[next]].start <= start) push(order[next++]);
+    while (open.length && tokens[open[0]].end <= start) pop();
+    if (!open.length) continue;
+
+    const top = open[0];
+    const end = points[p + 1];
+    const previous = result[result.length - 1];
+    if (previous && lastIndex === top && previous.end === start) {
+      previous.end = end;
+    } else {
+      result.push({ type: tokens[top].type, start, end });
+      lastIndex = top;
+    }
+  }
+  return result;
+}
+
+/**
+ * Compiled forms of syntax definition objects, so each one is only compiled once.
+ * @type {WeakMap<Object, Object>}
+ */
+const compiledSyntax = new WeakMap();
+
+/**
+ * Returns true for plain definition objects, as opposed to Arrays, RegExps and functions.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+/**
+ * Compiles a rule value into the form the tokenizer runs: a global RegExp, a function
+ * building one from the captures of the match that entered the current state, or a
+ * function returning spans.
+ *
+ * @param {Array|RegExp|string|Function} value - The value to compile.
+ * @param {string} [fnKind='spans'] - What a function value is: 'spans' or 'dynamic'.
+ * @returns {Object|null} The compiled matcher, or null for invalid values.
+ */
+function compileMatch(value, fnKind = 'spans') {
+  if (Array.isArray(value)) {
+    const words = [...new Set(value)].map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join("|");
+    return { regex: new RegExp(`\\b(${words})\\b`, "g") };
+  } else if (value instanceof RegExp) {
+    return { regex: new RegExp(value.source, value.flags.replace(/[gy]/g, '') + 'g') };
+  } else if (typeof value === 'string') {
+    return { regex: new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), "g") };
+  } else if (typeof value === 'function') {
+    return { [fnKind]: value };
+  }
+  return null;
+}
+
+/**
+ * Compiles a syntax definition object.
+ *
+ * Objects with a `states` property are compiled in "grammar" mode, a state machine whose
+ * rules can push and pop states. Objects with a `tokens` property are compiled in "tokens"
+ * mode, which is a grammar with a single state. Any other object is compiled in "layers"
+ * mode, the original format where every rule runs over the whole text and overlapping
+ * highlights are resolved by registration order.
+ *
+ * @param {Object} defs - The syntax definitions.
+ * @returns {{mode: string, rules?: Array<Object>, states?: Map<string, Object>}}
+ * @throws {Error} If a grammar pushes or includes a state it does not define.
+ */
+function compileSyntax(defs) {
+  if (compiledSyntax.has(defs)) return compiledSyntax.get(defs);
+
+  let compiled;
+
+  if (isPlainObject(defs.states)) {
+    compiled = { mode: 'grammar', states: compileStates(defs.states) };
+  } else {
+    const tokens = isPlainObject(defs.tokens);
+    const rules = [];
+
+    for (const [type, value] of Object.entries(tokens ? defs.tokens : defs)) {
+      if (!value || (!tokens && type === 'detect')) continue;
+      const matcher = compileMatch(value);
+      if (matcher) rules.push({ type, ...matcher });
+      else console.warn(`Invalid syntax definition for ${type}`);
+    }
+
+    compiled = tokens
+      ? { mode: 'tokens', states: new Map([['root', { type: null, rules }]]) }
+      : { mode: 'layers', rules };
+  }
+
+  compiledSyntax.set(defs, compiled);
+  return compiled;
+}
+
+/**
+ * Compiles the `states` of a grammar, resolving `include` rules.
+ *
+ * @param {Object} states - State names mapped to rule arrays or `{type, rules}` objects.
+ * @returns {Map<string, {type: string|null, rules: Array<Object>}>}
+ * @throws {Error} If a rule pushes or includes an unknown state.
+ */
+function compileStates(states) {
+  if (!states.root) throw new Error("Syntax grammar must define a 'root' state");
+
+  const compiled = new Map();
+  const resolve = (name, seen = new Set()) => {
+    const state = states[name];
+    if (!state) throw new Error(`Unknown syntax state '${name}'`);
+    if (seen.has(name)) return [];
+    seen.add(name);
+
+    const rules = [];
+    for (const rule of Array.isArray(state) ? state : state.rules || []) {
+      if (rule.include) {
+        rules.push(...resolve(rule.include, seen));
+        continue;
+      }
+      if (rule.push && !states[rule.push]) throw new Error(`Unknown syntax state '${rule.push}'`);
+
+      const matcher = compileMatch(rule.match, 'dynamic');
+      if (!matcher) {
+        console.warn(`Invalid syntax rule in state '${name}'`, rule);
+        continue;
+      }
+      rules.push({
+        type: rule.type || null,
+        push: rule.push || null,
+        pop: rule.pop === true ? 1 : rule.pop || 0,
+        embed: rule.embed || null,
+        end: rule.end ? compileMatch(rule.end, 'dynamic') : null,
+        ...matcher,
+      });
+    }
+    return rules;
+  };
+
+  for (const [name, state] of Object.entries(states)) {
+    compiled.set(name, { type: Array.isArray(state) ? null : state.type || null, rules: resolve(name) });
+  }
+  return compiled;
+}
+
+/**
+ * Runs a function rule and converts its result to sorted `[start, end]` spans.
+ * Functions may return Range objects or `[start, end]` pairs.
+ *
+ * @param {Function} fn - The rule function.
+ * @param {string} string - The text content.
+ * @param {Node} [node] - The text node, passed through to the function.
+ * @returns {Array<Array<number>>}
+ */
+function ruleSpans(fn, string, node) {
+  const spans = [];
+  for (const item of fn(string, node) || []) {
+    if (Array.isArray(item)) spans.push([item[0], item[1]]);
+    else if (item && 'startOffset' in item) spans.push([item.startOffset, item.endOffset]);
+  }
+  return spans.filter(([start, end]) => end > start).sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Splits a string into tokens according to a syntax definition object.
+ *
+ * In "tokens" and "grammar" mode the scan moves left to right: at each position the match
+ * that starts first wins, ties go to the rule defined first, and the winning token consumes
+ * its text so no later match may start inside it. Keywords inside strings or comments are
+ * therefore never reported, and the tokens come sorted by start without overlapping. In
+ * "layers" mode every match of every rule is returned, in rule order, and matches may overlap:
+ * a later rule is painted over an earlier one. `flattenTokens` sorts them and settles overlaps.
+ *
+ * Grammar rules with an `embed` property delegate the text that follows them to another
+ * syntax, which `resolve` looks up by name.
+ *
+ * @param {string} string - The text to tokenize.
+ * @param {Object} defs - The syntax definitions.
+ * @param {Node} [node] - The text node, passed to function rules.
+ * @param {Function} [resolve] - Returns the definitions of an embedded syntax by name, if loaded.
+ * @returns {Array<{type: string, start: number, end: number}>}
+ */
+export function tokenizeSync(string, defs, node, resolve) {
+  const compiled = compileSyntax(defs);
+  if (compiled.mode !== 'layers') return scan(string, compiled.states, node, resolve).tokens;
+
+  const tokens = [];
+  for (const rule of compiled.rules) {
+    if (rule.spans) {
+      for (const [start, end] of ruleSpans(rule.spans, string, node)) tokens.push({ type: rule.type, start, end });
+    } else {
+      for (const match of string.matchAll(rule.regex)) {
+        if (match[0].length) tokens.push({ type: rule.type, start: match.index, end: match.index + match[0].length });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Synchronous core of `retokenize`. Syntaxes in "layers" mode, and previous results
+ * without checkpoints or for other definitions, are tokenized in full.
+ *
+ * @param {Object|null} previous - The result for the previous version, or null.
+ * @param {string} code - The new version of the code.
+ * @param {Object} defs - The syntax definitions.
+ * @param {Node} [node] - The text node, passed to function rules.
+ * @param {Function} [resolve] - Returns the definitions of an embedded syntax by name, if loaded.
+ * @returns {Object} The same shape as `retokenize`.
+ */
+function retokenizeSync(previous, code, defs, node, resolve) {
+  const compiled = compileSyntax(defs);
+
+  if (compiled.mode === 'layers') {
+    return { ...spliceTokens(previous, code, tokenizeSync(code, defs, node, resolve)), defs };
+  }
+  if (!previous?.checkpoints || previous.defs !== defs) {
+    const { tokens, checkpoints } = scan(code, compiled.states, node, resolve);
+    return { ...spliceTokens(previous, code, tokens), checkpoints, defs };
+  }
+
+  const { code: before, tokens: oldTokens, checkpoints: oldCheckpoints } = previous;
+  const { start, oldEnd, newEnd } = changedRange(before, code);
+  const delta = newEnd - oldEnd;
+
+  // Rules may look past the end of a line, so the scan restarts a line before the edited one.
+  const lineStart = offset => offset > 0 ? before.lastIndexOf('\n', offset - 1) + 1 : 0;
+  const limit = lineStart(Math.max(0, lineStart(start) - 1));
+  const restartIndex = bisect(oldCheckpoints, limit + 1);
+  const from = restartIndex ? oldCheckpoints[restartIndex - 1] : 0;
+
+  const stop = line => {
+    if (line < newEnd) return false;
+    const old = line - delta;
+    return oldCheckpoints[bisect(oldCheckpoints, old)] === old;
+  };
+  const scanned = scan(code, compiled.states, node, resolve, { from, stop });
+
+  const head = bisect(oldTokens, from, token => token.start);
+  const tail = scanned.end < code.length ? bisect(oldTokens, scanned.end - delta, token => token.start) : oldTokens.length;
+  const shift = token => ({ type: token.type, start: token.start + delta, end: token.end + delta });
+  const tokens = [...oldTokens.slice(0, head), ...scanned.tokens, ...oldTokens.slice(tail).map(shift)];
+
+  const checkpointTail = scanned.end < code.length ? bisect(oldCheckpoints, scanned.end - delta + 1) : oldCheckpoints.length;
+  const checkpoints = [
+    ...oldCheckpoints.slice(0, restartIndex),
+    ...scanned.checkpoints,
+    ...oldCheckpoints.slice(checkpointTail).map(line => line + delta),
+  ];
+
+  return { ...spliceTokens(previous, code, tokens), checkpoints, defs };
+}
+
+/**
+ * Finds the first index of a sorted list whose value is at least the one given.
+ *
+ * @param {Array} list - The sorted list.
+ * @param {number} value - The value to look for.
+ * @param {Function} [key] - Returns the value of an item.
+ * @returns {number} The index, or the list length if every value is smaller.
+ */
+function bisect(list, value, key = item => item) {
+  let low = 0, high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (key(list[mid]) < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Runs the state machine of a compiled grammar over a string.
+ *
+ * Text that no rule matches takes the type of the current state, if it has one. Rules
+ * without a type take it too. Zero-length matches are ignored unless they only pop a state.
+ *
+ * After a rule with `embed`, the text up to its `end` match (or the end of the string) is
+ * tokenized with the embedded syntax, and the scan resumes at the `end` match in the state
+ * the rule left it in. Embedded syntaxes that `resolve` does not return are left plain.
+ *
+ * Line starts reached in an untyped root state, outside any token, are recorded as
+ * checkpoints: a scan started there from the root state finds the same tokens. `stop` is
+ * asked at each checkpoint whether the scan may end there.
+ *
+ * @param {string} string - The text to tokenize.
+ * @param {Map<string, Object>} states - The compiled states.
+ * @param {Node} [node] - The text node, passed to function rules.
+ * @param {Function} [resolve] - Returns the definitions of an embedded syntax by name.
+ * @param {Object} [options]
+ * @param {number} [options.from=0] - The checkpoint to start at.
+ * @param {Function} [options.stop] - Called with each checkpoint. Returning true ends the scan there.
+ * @returns {{tokens: Array<{type: string, start: number, end: number}>, checkpoints: Array<number>, end: number}}
+ *   The tokens, the checkpoints after `from`, and where the scan ended.
+ */
+function scan(string, states, node, resolve, { from = 0, stop } = {}) {
+  const tokens = [];
+  const checkpoints = [];
+  const spans = new Map();
+  const stack = [{ state: states.get('root'), captures: [], next: [], regexes: [] }];
+  let loose = false;
+  let pos = from;
+  let lineStart = string.indexOf('\n', from) + 1;
+
+  // Records the line starts up to limit that lie outside any token. Returns true if the scan should stop.
+  const mark = limit => {
+    while (lineStart > 0 && lineStart <= limit) {
+      const line = lineStart;
+      lineStart = string.indexOf('\n', line) + 1;
+      if (line < pos || line <= (tokens[tokens.length - 1]?.end ?? -1)) continue;
+      checkpoints.push(line);
+      if (stop?.(line)) return true;
+    }
+    return false;
+  };
+  const stopped = () => ({ tokens, checkpoints, end: checkpoints[checkpoints.length - 1] });
+
+  // Adds a token, merging it into the previous one when either is text typed by its state.
+  const emit = (type, start, end, inherited) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === type && last.end === start && (loose || inherited)) last.end = end;
+    else tokens.push({ type, start, end });
+    loose = inherited;
+  };
+
+  // Finds the first match of a frame's rule starting at or after pos.
+  const find = (frame, i) => {
+    const rule = frame.state.rules[i];
+    const allowEmpty = rule.pop > 0 && !rule.push && stack.length > 1;
+
+    if (rule.spans) {
+      if (!spans.has(rule)) spans.set(rule, ruleSpans(rule.spans, string, node));
+      const list = spans.get(rule);
+      let low = 0, high = list.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (list[mid][0] < pos) low = mid + 1;
+        else high = mid;
+      }
+      return low < list.length ? { start: list[low][0], end: list[low][1], captures: [] } : null;
+    }
+
+    let regex = rule.regex;
+    if (rule.dynamic) {
+      regex = frame.regexes[i] ??= compileMatch(rule.dynamic(frame.captures))?.regex;
+      if (!regex) return null;
+    }
+
+    regex.lastIndex = pos;
+    let match;
+    while ((match = regex.exec(string))) {
+      if (match[0].length || allowEmpty) return { start: match.index, end: match.index + match[0].length, captures: [...match] };
+      regex.lastIndex++;
+    }
+    return null;
+  };
+
+  // Tokenizes the region following an embedding rule and returns the position after it.
+  const embed = (rule, captures) => {
+    let end = string.length;
+    const regex = rule.end && (rule.end.regex || compileMatch(rule.end.dynamic(captures))?.regex);
+    if (regex) {
+      regex.lastIndex = pos;
+      const match = regex.exec(string);
+      if (match) end = match.index;
+    }
+
+    const name = typeof rule.embed === 'function' ? rule.embed(captures) : rule.embed;
+    const defs = name && resolve?.(name);
+    if (defs && end > pos) {
+      const text = string.slice(pos, end);
+      const textNode = node?.ownerDocument?.createTextNode(text);
+      for (const token of tokenizeSync(text, defs, textNode, resolve)) {
+        tokens.push({ type: token.type, start: token.start + pos, end: token.end + pos });
+      }
+      loose = false;
+    }
+    return end;
+  };
+
+  while (pos < string.length) {
+    const frame = stack[stack.length - 1];
+    const { rules, type: stateType } = frame.state;
+
+    let best = -1;
+    for (let i = 0; i < rules.length; i++) {
+      if (frame.next[i] === undefined || (frame.next[i] && frame.next[i].start < pos)) frame.next[i] = find(frame, i);
+      if (frame.next[i] && (best < 0 || frame.next[i].start < frame.next[best].start)) best = i;
+    }
+
+    const atRoot = stack.length === 1 && !stateType;
+    if (best < 0) {
+      if (atRoot && mark(string.length)) return stopped();
+      if (stateType) emit(stateType, pos, string.length, true);
+      break;
+    }
+
+    const rule = rules[best];
+    const { start, end, captures } = frame.next[best];
+    if (atRoot && mark(start)) return stopped();
+    if (stateType && start > pos) emit(stateType, pos, start, true);
+    if (end > start && (rule.type || stateType)) emit(rule.type || stateType, start, end, !rule.type);
+    pos = end;
+
+    if (rule.pop) stack.length = Math.max(1, stack.length - rule.pop);
+    if (rule.push) stack.push({ state: states.get(rule.push), captures, next: [], regexes: [] });
+    if (rule.embed) pos = embed(rule, captures);
+  }
+
+  return { tokens, checkpoints, end: string.length };
+}
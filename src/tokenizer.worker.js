@@ -0,0 +1,37 @@
+/**
+ * @file tokenizer.worker.js
+ * Tokenizes code off the main thread for a-code's `worker` mode.
+ * Receives `{id, key, code, syntax, base}` and replies with `{id, types, data}` (see `packTokens`),
+ * `{id, stale: true}` when a newer request with the same key arrived first, or `{id, error}`.
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ */
+
+import { packTokens, tokenize } from './tokenizer.js';
+
+/**
+ * The newest request id for each key, so superseded requests are skipped instead of tokenized.
+ * @type {Map<string, number>}
+ */
+const latest = new Map();
+
+self.addEventListener('message', async ({ data: { id, key, code, syntax, base } }) => {
+  latest.set(key, id);
+
+  // Requests already queued behind this one are delivered before the timeout fires.
+  await new Promise(resolve => setTimeout(resolve));
+  if (latest.get(key) !== id) {
+    self.postMessage({ id, stale: true });
+    return;
+  }
+
+  try {
+    // Without a fallback, syntaxes only known to the page fail here and are tokenized there instead.
+    const { types, data } = packTokens(await tokenize(code, syntax, { base, fallback: null }));
+    self.postMessage({ id, types, data }, [data.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: String(error?.message ?? error) });
+  } finally {
+    if (latest.get(key) === id) latest.delete(key);
+  }
+});
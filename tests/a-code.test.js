@@ -3,7 +3,9 @@
  */
 
 import ATestRunner from './ATestRunner.min.js';
-import ACode from '../src/a-code.js';
+import ACode, { Highlighter, renderToHTML as exportedRenderToHTML, tokenize as exportedTokenize } from '../src/a-code.js';
+import { detectSyntax, packTokens, retokenize, tokenize, unpackTokens } from '../src/tokenizer.js';
+import { paletteToCSS, renderToHTML } from '../src/render.js';
 
 const runner = new ATestRunner(import.meta.url);
 runner.output="#test-results";
@@ -42,6 +44,28 @@ function cleanup() {
   document.querySelectorAll('a-code').forEach(el => el.remove());
 }
 
+/**
+ * Highlights code with the given syntax using a standalone Highlighter and
+ * returns the text of each highlight, by token type.
+ */
+async function highlightWith(syntax, code) {
+  const el = await createFixture();
+  const content = el.shadowRoot.querySelector('#content');
+  content.textContent = code;
+  const textNode = content.firstChild;
+  const highlighter = new Highlighter(el, syntax, null, 'tokenizer-test');
+  await highlighter.highlight(textNode);
+
+  const result = {};
+  for (const [name, highlight] of CSS.highlights) {
+    if (!name.endsWith('-tokenizer-test')) continue;
+    result[name.replace('-tokenizer-test', '')] = [...highlight].map(range => range.toString());
+  }
+  highlighter.destroy();
+  el.remove();
+  return result;
+}
+
 // --- Tests ---
 
 group("Initialization & Defaults", () => {
@@ -197,6 +221,49 @@ group("Line Numbers", () => {
     return turnedOn && turnedOff;
   }, true);
 
+  test("'line-start' sets the first line number", async () => {
+    const el = await createFixture('a\nb\nc', { 'line-numbers': '', 'line-start': '10' });
+    return el.shadowRoot.querySelector('#line-numbers').textContent;
+  }, '10\n11\n12');
+
+  test("Relative mode counts from the current line", async () => {
+    const el = await createFixture('a\nb\nc', { 'line-numbers': 'relative' });
+    return el.shadowRoot.querySelector('#line-numbers').textContent;
+  }, '1\n1\n2');
+
+  test("Clicking a number dispatches line-click", async () => {
+    const el = await createFixture('a\nb\nc', { 'line-numbers': '', 'line-start': '5' });
+    let detail = null;
+    el.addEventListener('line-click', event => detail = event.detail);
+    el.shadowRoot.querySelectorAll('#line-numbers span')[1].click();
+    return detail;
+  }, { index: 1, line: 6 });
+
+  test("Wrapped lines keep the gutter aligned", async () => {
+    const long = 'word '.repeat(200);
+    const el = await createFixture(`short\n${long}\nend`, { 'line-numbers': '', wrap: 'pre-wrap' });
+    el.style.width = '200px';
+    await wait(50);
+    const gutter = el.shadowRoot.querySelector('#line-numbers').textContent;
+    el.remove();
+    return gutter.split('\n').length > 3;
+  }, true);
+
+  test("Wrapped lines keep the gutter aligned when tokens are wrapped in spans", async () => {
+    const long = 'let a = 1; '.repeat(100);
+    const el = await createFixture(`let b;\n${long}\nend`, { 'line-numbers': '', wrap: 'pre-wrap' });
+    el.highlighter?.destroy();
+    el.highlighter = new Highlighter(el, 'javascript', 'default', 'span-wrap-test', { spans: true });
+    await el.highlighter.highlight(el.shadowRoot.querySelector('#content').firstChild);
+    el.style.width = '200px';
+    await wait(50);
+    const spans = el.shadowRoot.querySelector('#content').firstChild.nodeName;
+    const gutter = el.shadowRoot.querySelector('#line-numbers').textContent;
+    el.highlighter.destroy();
+    el.remove();
+    return { spans, rows: gutter.split('\n').length > 3 };
+  }, { spans: 'SPAN', rows: true });
+
   cleanup();
 });
 
@@ -267,5 +334,1199 @@ group("HTML Entity Decoding", () => {
   cleanup();
 });
 
+group("Edit Mode", () => {
+  test("Content is not editable by default", async () => {
+    const el = await createFixture('code');
+    return el.shadowRoot.querySelector('#content').isContentEditable;
+  }, false);
+
+  test("'edit' attribute makes content editable", async () => {
+    const el = await createFixture('code', { edit: '' });
+    return el.edit && el.shadowRoot.querySelector('#content').isContentEditable;
+  }, true);
+
+  test("Edited text is written back to value", async () => {
+    const el = await createFixture('let a = 1;', { edit: '' });
+    const content = el.shadowRoot.querySelector('#content');
+    content.textContent = 'let b = 2;';
+    content.dispatchEvent(new InputEvent('input', { bubbles: true }));
+    await wait(50);
+    return el.value;
+  }, 'let b = 2;');
+
+  test("Tab indents the current line", async () => {
+    const el = await createFixture('foo', { edit: '' });
+    const content = el.shadowRoot.querySelector('#content');
+    content.focus();
+    const selection = el.shadowRoot.getSelection ? el.shadowRoot.getSelection() : document.getSelection();
+    selection.collapse(content.firstChild, 0);
+    content.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', bubbles: true, cancelable: true }));
+    await wait(50);
+    return el.value;
+  }, '\tfoo');
+
+  cleanup();
+});
+
+group("Form Association", () => {
+  test("Submits its value with a form", async () => {
+    const form = document.createElement('form');
+    const el = document.createElement('a-code');
+    el.setAttribute('name', 'snippet');
+    el.textContent = 'a = 1';
+    form.append(el);
+    document.body.append(form);
+    await wait(50);
+    const value = new FormData(form).get('snippet');
+    form.remove();
+    return value;
+  }, 'a = 1');
+
+  test("Restores its initial value on form.reset()", async () => {
+    const form = document.createElement('form');
+    const el = document.createElement('a-code');
+    el.textContent = 'original';
+    form.append(el);
+    document.body.append(form);
+    await wait(50);
+    el.value = 'changed';
+    form.reset();
+    await wait(50);
+    const value = el.value;
+    form.remove();
+    return value;
+  }, 'original');
+
+  test("Reports valueMissing when required and empty", async () => {
+    const el = await createFixture('', { required: '' });
+    return el.validity.valueMissing && !el.checkValidity();
+  }, true);
+
+  test("'readonly' prevents editing", async () => {
+    const el = await createFixture('code', { edit: '', readonly: '' });
+    return el.shadowRoot.querySelector('#content').isContentEditable;
+  }, false);
+
+  test("'disabled' prevents editing", async () => {
+    const el = await createFixture('code', { edit: '', disabled: '' });
+    return el.shadowRoot.querySelector('#content').isContentEditable;
+  }, false);
+
+  cleanup();
+});
+
+group("Loading from src", () => {
+  test("Renders the file named by 'src' and dispatches load", async () => {
+    const el = document.createElement('a-code');
+    const loaded = new Promise(resolve => el.addEventListener('load', resolve, { once: true }));
+    el.src = 'data:text/plain,const%20a%20%3D%201%3B';
+    document.body.append(el);
+    await loaded;
+    await wait(50);
+    return el.shadowRoot.querySelector('#content').textContent;
+  }, 'const a = 1;');
+
+  test("Dispatches error when the file cannot be loaded", async () => {
+    const el = document.createElement('a-code');
+    const failed = new Promise(resolve => el.addEventListener('error', () => resolve(true), { once: true }));
+    el.src = './does-not-exist.js';
+    document.body.append(el);
+    return failed;
+  }, true);
+
+  test("An invalid 'src' URL keeps the requested syntax", async () => {
+    const el = document.createElement('a-code');
+    const failed = new Promise(resolve => el.addEventListener('error', () => resolve(true), { once: true }));
+    el.setAttribute('highlight', '');
+    el.src = 'http://[invalid';
+    document.body.append(el);
+    return failed;
+  }, true);
+
+  test("'lines' shows only the requested range with file numbering", async () => {
+    const file = 'one\ntwo\nthree\nfour\nfive';
+    const el = document.createElement('a-code');
+    const loaded = new Promise(resolve => el.addEventListener('load', resolve, { once: true }));
+    el.setAttribute('lines', '2-4');
+    el.setAttribute('line-numbers', '');
+    el.src = 'data:text/plain,' + encodeURIComponent(file);
+    document.body.append(el);
+    await loaded;
+    await wait(50);
+    return {
+      content: el.shadowRoot.querySelector('#content').textContent,
+      numbers: el.shadowRoot.querySelector('#line-numbers').textContent
+    };
+  }, { content: 'two\nthree\nfour', numbers: '2\n3\n4' });
+
+  test("'region' shows the lines between region markers", async () => {
+    const file = 'a();\n// #region setup\nconst x = 1;\n// #endregion\nb();';
+    const el = document.createElement('a-code');
+    const loaded = new Promise(resolve => el.addEventListener('load', resolve, { once: true }));
+    el.setAttribute('region', 'setup');
+    el.setAttribute('line-numbers', '');
+    el.src = 'data:text/plain,' + encodeURIComponent(file);
+    document.body.append(el);
+    await loaded;
+    await wait(50);
+    return {
+      content: el.shadowRoot.querySelector('#content').textContent,
+      numbers: el.shadowRoot.querySelector('#line-numbers').textContent
+    };
+  }, { content: 'const x = 1;', numbers: '3' });
+
+  test("Setting value writes the change back into the loaded file", async () => {
+    const el = document.createElement('a-code');
+    const loaded = new Promise(resolve => el.addEventListener('load', resolve, { once: true }));
+    el.setAttribute('lines', '2-3');
+    el.src = 'data:text/plain,' + encodeURIComponent('a\nb\nc\nd');
+    document.body.append(el);
+    await loaded;
+    el.value = 'B\nC\nX';
+    el.lines = '1-';
+    await wait(50);
+    return el.shadowRoot.querySelector('#content').textContent;
+  }, 'a\nB\nC\nX\nd');
+
+  test("'region' needs the # of a #region marker", async () => {
+    const file = 'a();\n// region setup\nconst x = 1;\n// endregion';
+    const el = document.createElement('a-code');
+    const loaded = new Promise(resolve => el.addEventListener('load', resolve, { once: true }));
+    el.setAttribute('region', 'setup');
+    el.src = 'data:text/plain,' + encodeURIComponent(file);
+    document.body.append(el);
+    await loaded;
+    await wait(50);
+    return el.shadowRoot.querySelector('#content').textContent;
+  }, 'a();\n// region setup\nconst x = 1;\n// endregion');
+
+  test("Removing 'src' restores the light DOM content", async () => {
+    const el = document.createElement('a-code');
+    el.textContent = 'inline';
+    const loaded = new Promise(resolve => el.addEventListener('load', resolve, { once: true }));
+    el.src = 'data:text/plain,remote';
+    document.body.append(el);
+    await loaded;
+    el.removeAttribute('src');
+    await wait(50);
+    return el.shadowRoot.querySelector('#content').textContent;
+  }, 'inline');
+
+  cleanup();
+});
+
+group("Marked & Dimmed Lines", () => {
+  /**
+   * Returns the number of ranges in the first highlight whose name starts with prefix.
+   */
+  function rangeCount(prefix) {
+    for (const [name, highlight] of CSS.highlights) {
+      if (name.startsWith(prefix)) return highlight.size;
+    }
+    return 0;
+  }
+
+  test("'mark-lines' marks the listed lines", async () => {
+    const el = await createFixture('1\n2\n3\n4\n5\n6\n7\n8\n9', { 'mark-lines': '3,7-9' });
+    const count = rangeCount('mark-line-');
+    el.remove();
+    return count;
+  }, 4);
+
+  test("Bare 'dim-lines' dims every unmarked line", async () => {
+    const el = await createFixture('1\n2\n3\n4', { 'mark-lines': '2', 'dim-lines': '' });
+    const count = rangeCount('dim-line-');
+    el.remove();
+    return count;
+  }, 3);
+
+  test("Decorations are removed with the element", async () => {
+    const el = await createFixture('1\n2', { 'mark-lines': '1' });
+    el.remove();
+    return rangeCount('mark-line-');
+  }, 0);
+
+  cleanup();
+});
+
+group("Copy Button", () => {
+  test("Copy button is hidden by default", async () => {
+    const el = await createFixture('code');
+    const button = el.shadowRoot.querySelector('[part~="copy-button"]');
+    return getComputedStyle(button).display;
+  }, 'none');
+
+  test("'copy' attribute shows the copy button", async () => {
+    const el = await createFixture('code', { copy: '' });
+    const button = el.shadowRoot.querySelector('[part~="copy-button"]');
+    return getComputedStyle(button).display !== 'none';
+  }, true);
+
+  test("Dispatches a cancelable copy event with the normalized text", async () => {
+    const el = await createFixture('\n    $ npm install', { copy: '' });
+    let event = null;
+    el.addEventListener('copy', e => {
+      event = e;
+      e.preventDefault();
+    });
+    el.shadowRoot.querySelector('[part~="copy-button"]').click();
+    return { cancelable: event.cancelable, text: event.detail.text };
+  }, { cancelable: true, text: '$ npm install' });
+
+  test("Copying a selection does not dispatch the copy CustomEvent", async () => {
+    const el = await createFixture('let a;', { copy: '' });
+    const received = [];
+    el.addEventListener('copy', e => received.push(e instanceof CustomEvent ? 'custom' : 'native'));
+    el.shadowRoot.querySelector('#content').dispatchEvent(new ClipboardEvent('copy', { clipboardData: new DataTransfer(), bubbles: true, composed: true }));
+    return received;
+  }, ['native']);
+
+  cleanup();
+});
+
+group("Diff View", () => {
+  test("Strips diff markers from the displayed code", async () => {
+    const el = await createFixture(' a\n-b\n+c', { diff: '' });
+    return el.shadowRoot.querySelector('#content').textContent;
+  }, 'a\nb\nc');
+
+  test("Marks inserted and deleted lines", async () => {
+    const el = await createFixture(' a\n-b\n+c\n+d', { diff: '' });
+    const sizes = {};
+    for (const [name, highlight] of CSS.highlights) {
+      if (name.startsWith('inserted-')) sizes.inserted = highlight.size;
+      if (name.startsWith('deleted-')) sizes.deleted = highlight.size;
+    }
+    el.remove();
+    return sizes;
+  }, { inserted: 2, deleted: 1 });
+
+  test("Computes the diff of 'diff-from' and 'diff-to'", async () => {
+    const el = document.createElement('a-code');
+    const loaded = new Promise(resolve => el.addEventListener('load', resolve, { once: true }));
+    el.setAttribute('diff-from', 'data:text/plain,' + encodeURIComponent('a\nb\nc'));
+    el.setAttribute('diff-to', 'data:text/plain,' + encodeURIComponent('a\nc\nd'));
+    document.body.append(el);
+    await loaded;
+    await wait(50);
+    return el.value;
+  }, ' a\n-b\n c\n+d');
+
+  test("Very large changes are shown as deleted and inserted without comparing them", async () => {
+    const lines = prefix => Array.from({ length: 2500 }, (_, i) => prefix + i).join('\n');
+    const el = document.createElement('a-code');
+    const loaded = new Promise(resolve => el.addEventListener('load', resolve, { once: true }));
+    el.setAttribute('diff-from', 'data:text/plain,' + encodeURIComponent('a\n' + lines('old')));
+    el.setAttribute('diff-to', 'data:text/plain,' + encodeURIComponent('a\n' + lines('new')));
+    document.body.append(el);
+    await loaded;
+    await wait(50);
+    const value = el.value.split('\n');
+    el.remove();
+    return [value[0], value[1], value[2500], value[2501], value.length];
+  }, [' a', '-old0', '-old2499', '+new0', 5001]);
+
+  test("Code before and after the change is tokenized apart", async () => {
+    const el = await createFixture(' let a;\n-let s = `\n+let s = 1;\n let t = `x`;', { diff: '', highlight: 'javascript' });
+    await wait(100);
+    const strings = el.getTokens().filter(token => token.type === 'string').map(token => token.text);
+    el.remove();
+    return strings;
+  }, ['`', '`x`']);
+
+  test("Hunk headers are not tokenized", async () => {
+    const el = await createFixture('@@ -1 +1 @@\n-a = 1\n+a = 2', { diff: '', highlight: 'javascript' });
+    await wait(100);
+    const numbers = el.getTokens().filter(token => token.type === 'number').map(token => token.text);
+    el.remove();
+    return numbers;
+  }, ['1', '2']);
+
+  test("The copy button copies the code after the change", async () => {
+    const el = await createFixture('@@ -1,2 +1,2 @@\n a\n-b\n+c', { diff: '', copy: '' });
+    let text = null;
+    el.addEventListener('copy', e => {
+      text = e.detail.text;
+      e.preventDefault();
+    });
+    el.shadowRoot.querySelector('[part~="copy-button"]').click();
+    el.remove();
+    return text;
+  }, 'a\nc');
+
+  cleanup();
+});
+
+group("Folding", () => {
+  const code = 'function a() {\n\tb();\n\tc();\n}\nd();';
+
+  test("fold() hides the body of a block", async () => {
+    const el = await createFixture(code);
+    el.fold(1);
+    return el.shadowRoot.querySelector('#content').textContent;
+  }, 'function a() {\n}\nd();');
+
+  test("#region markers fold, and comments without the # do not", async () => {
+    const el = await createFixture('#region a\nb\n#endregion\n// region of interest\nc\n// endregion');
+    return [el.fold(1), el.fold(4)];
+  }, [true, false]);
+
+  test("unfold() shows the block again", async () => {
+    const el = await createFixture(code);
+    el.fold(1);
+    el.unfold(1);
+    return el.shadowRoot.querySelector('#content').textContent;
+  }, code);
+
+  test("Folded lines keep their original numbers", async () => {
+    const el = await createFixture(code, { 'line-numbers': '' });
+    el.foldAll();
+    return el.shadowRoot.querySelector('#line-numbers').textContent;
+  }, '1\n4\n5');
+
+  test("'foldable' adds toggles to the gutter", async () => {
+    const el = await createFixture(code, { foldable: '' });
+    el.shadowRoot.querySelector('[part="fold-toggle"]').click();
+    return el.shadowRoot.querySelector('#content').textContent;
+  }, 'function a() {\n}\nd();');
+
+  test("'max-lines' collapses the rest behind a button", async () => {
+    const el = await createFixture('1\n2\n3\n4\n5', { 'max-lines': '2' });
+    const button = el.shadowRoot.querySelector('[part="expand-button"]');
+    const collapsed = el.shadowRoot.querySelector('#content').textContent;
+    const label = button.textContent;
+    button.click();
+    const expanded = el.shadowRoot.querySelector('#content').textContent;
+    return { collapsed, label, expanded };
+  }, { collapsed: '1\n2', label: 'Expand 3 more lines', expanded: '1\n2\n3\n4\n5' });
+
+  test("Copying a folded block copies every line", async () => {
+    const el = await createFixture(code, { copy: '' });
+    el.foldAll();
+    let text = null;
+    el.addEventListener('copy', e => {
+      text = e.detail.text;
+      e.preventDefault();
+    });
+    el.shadowRoot.querySelector('[part~="copy-button"]').click();
+    return text;
+  }, code);
+
+  cleanup();
+});
+
+group("Search", () => {
+  /**
+   * Returns the ranges of the first highlight whose name starts with prefix.
+   */
+  function rangesOf(prefix) {
+    for (const [name, highlight] of CSS.highlights) {
+      if (name.startsWith(prefix)) return [...highlight].map(range => range.toString());
+    }
+    return [];
+  }
+
+  test("find() highlights every match", async () => {
+    const el = await createFixture('let foo = 1;\nfoo++;\nFoo();');
+    const count = el.find('foo');
+    const matches = rangesOf('search-match-').length;
+    el.remove();
+    return { count, matches };
+  }, { count: 3, matches: 3 });
+
+  test("find() honors caseSensitive and regex", async () => {
+    const el = await createFixture('let foo = 1;\nfoo++;\nFoo();');
+    const cased = el.find('Foo', { caseSensitive: true });
+    const regex = el.find('f\\w+', { regex: true });
+    el.remove();
+    return { cased, regex };
+  }, { cased: 1, regex: 3 });
+
+  test("findNext() and findPrevious() move the current match", async () => {
+    const el = await createFixture('a1 a2 a3');
+    el.find('a\\d', { regex: true });
+    const next = el.findNext();
+    const current = rangesOf('search-current-')[0];
+    const previous = el.findPrevious();
+    const wrapped = el.findPrevious();
+    el.remove();
+    return { next, current, previous, wrapped };
+  }, { next: 1, current: 'a2', previous: 0, wrapped: 2 });
+
+  test("find() unfolds blocks holding a match", async () => {
+    const el = await createFixture('function a() {\n\tneedle();\n}');
+    el.foldAll();
+    el.find('needle');
+    const content = el.shadowRoot.querySelector('#content').textContent;
+    el.remove();
+    return content.includes('needle');
+  }, true);
+
+  test("Ctrl+F opens the search bar when 'search' is set", async () => {
+    const el = await createFixture('code', { search: '' });
+    const content = el.shadowRoot.querySelector('#content');
+    content.dispatchEvent(new KeyboardEvent('keydown', { key: 'f', ctrlKey: true, bubbles: true, composed: true }));
+    return el.shadowRoot.querySelector('[part="search-bar"]').hidden;
+  }, false);
+
+  cleanup();
+});
+
+group("Tokenizer Mode", () => {
+  const tokenSyntax = {
+    tokens: {
+      comment: /\/\/.*|\/\*[\s\S]*?\*\//g,
+      string: /(["'])(?:\\.|[^\\])*?\1/g,
+      keyword: ['if', 'return'],
+    }
+  };
+
+  test("Keywords inside strings and comments are not highlighted", async () => {
+    const result = await highlightWith(tokenSyntax, 'if (a) return "if"; // return');
+    return result.keyword;
+  }, ['if', 'return']);
+
+  test("Strings and comments consume their text", async () => {
+    const result = await highlightWith(tokenSyntax, '"// not a comment" // "not a string"');
+    return { string: result.string, comment: result.comment };
+  }, { string: ['"// not a comment"'], comment: ['// "not a string"'] });
+
+  test("Earlier rules win when matches start at the same position", async () => {
+    const result = await highlightWith({ tokens: { keyword: ['return'], function: /\w+/g } }, 'return');
+    return { keyword: result.keyword, function: result.function || [] };
+  }, { keyword: ['return'], function: [] });
+
+  test("Flat syntax objects still highlight in overlapping layers", async () => {
+    const result = await highlightWith({ keyword: ['if'], string: /"[^"]*"/g }, '"if"');
+    return result;
+  }, { keyword: ['if'], string: ['"if"'] });
+
+  cleanup();
+});
+
+group("Grammar Syntax", () => {
+  test("Template literals highlight their interpolations as code", async () => {
+    const result = await highlightWith('../extra/syntax.grammar.example.js', 'const s = `if ${ if } "x"`;');
+    return { keyword: result.keyword, variable: result.variable };
+  }, { keyword: ['const', 'if'], variable: ['${', '}'] });
+
+  test("Pushed states can nest", async () => {
+    const syntax = {
+      states: {
+        root: [{ type: 'comment', match: '/*', push: 'comment' }],
+        comment: {
+          type: 'comment',
+          rules: [
+            { match: '/*', push: 'comment' },
+            { match: '*/', pop: true },
+          ],
+        },
+      },
+    };
+    const result = await highlightWith(syntax, 'a /* b /* c */ d */ e');
+    return result.comment;
+  }, ['/* b /* c */ d */']);
+
+  test("Rules can match the captures of the rule that entered the state", async () => {
+    const syntax = {
+      states: {
+        root: [{ type: 'string', match: /<<<(\w+)$/m, push: 'heredoc' }],
+        heredoc: {
+          type: 'string',
+          rules: [{ match: ([, label]) => new RegExp(`^${label}\\b`, 'm'), pop: true }],
+        },
+      },
+    };
+    const result = await highlightWith(syntax, '$a = <<<EOT\nsome EOT text\nEOT;');
+    return result.string;
+  }, ['<<<EOT\nsome EOT text\nEOT']);
+
+  cleanup();
+});
+
+group("Embedded Languages", () => {
+  test("<script> content is highlighted as JavaScript", async () => {
+    const result = await highlightWith('html', '<div>if (a)</div>\n<script>\n  if (a) {}\n</script>');
+    return result.keyword;
+  }, ['if']);
+
+  test("<style> content is highlighted as CSS", async () => {
+    const result = await highlightWith('html', '<style>\n  a { color: red; }\n</style>');
+    return { tag: result.tag, property: result.property };
+  }, { tag: ['<style', '>', '</style', '>'], property: ['color'] });
+
+  test("Markdown fenced blocks use the syntax named by the fence", async () => {
+    const result = await highlightWith('markdown', '# Title\n```javascript\nconst a = "b";\n```\nconst');
+    return { keyword: result.keyword, string: result.string };
+  }, { keyword: ['# Title', 'const'], string: ['```javascript', '"b"', '```'] });
+
+  test("Grammar rules embed syntaxes passed to the highlighter as objects", async () => {
+    const result = await highlightWith({
+      states: {
+        root: [{ type: 'tag', match: '{{', embed: 'html', end: '}}' }, { type: 'tag', match: '}}' }],
+      },
+    }, 'a {{ <b> }} c');
+    return result.tag;
+  }, ['{{', '<b', '>', '}}']);
+
+  cleanup();
+});
+
+group("Syntax Registry", () => {
+  const registered = { tokens: { keyword: ['foo'] } };
+  ACode.registerSyntax('registry-test', registered, { aliases: ['rt'], extensions: ['.rt'] });
+
+  test("getSyntax() returns registered definitions by name or alias", () => {
+    return ACode.getSyntax('registry-test') === registered && ACode.getSyntax('rt') === registered;
+  }, true);
+
+  test("listSyntaxes() includes registered syntaxes and html", () => {
+    const names = ACode.listSyntaxes();
+    return names.includes('registry-test') && names.includes('html') && !names.includes('rt');
+  }, true);
+
+  test("registerSyntax() rejects invalid definitions", () => {
+    try {
+      ACode.registerSyntax('broken', null);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  }, true);
+
+  test("Elements highlight with registered syntaxes", async () => {
+    const el = await createFixture('foo bar', { highlight: 'rt' });
+    await wait(50);
+    const found = [...CSS.highlights].some(([name, highlight]) => name.startsWith('keyword-') &&
+      [...highlight].some(range => range.startContainer.getRootNode() === el.shadowRoot && range.toString() === 'foo'));
+    el.remove();
+    return found;
+  }, true);
+
+  test("Object syntaxes are not stored in the registry", async () => {
+    const before = ACode.listSyntaxes().length;
+    await highlightWith({ tokens: { keyword: ['a'] } }, 'a');
+    return ACode.listSyntaxes().length === before && ACode.getSyntax('custom') === undefined;
+  }, true);
+
+  cleanup();
+});
+
+group("Syntax Loading", () => {
+  /**
+   * Returns true if the element has a highlight of the given type covering the given text.
+   */
+  function hasToken(el, type, text) {
+    return [...CSS.highlights].some(([name, highlight]) => name.startsWith(`${type}-`) &&
+      [...highlight].some(range => range.startContainer.getRootNode() === el.shadowRoot && range.toString() === text));
+  }
+
+  test("syntaxLoader provides definitions without importing a file", async () => {
+    ACode.syntaxLoader = async name => name === 'loader-test' ? { tokens: { keyword: ['foo'] } } : undefined;
+    const el = await createFixture('foo bar', { highlight: 'loader-test' });
+    await wait(50);
+    const found = hasToken(el, 'keyword', 'foo');
+    ACode.syntaxLoader = null;
+    el.remove();
+    return found && !!ACode.getSyntax('loader-test');
+  }, true);
+
+  test("syntax-base locates syntax files when the loader returns nothing", async () => {
+    const requested = [];
+    ACode.syntaxLoader = async name => { requested.push(name); };
+    const el = await createFixture('echo "a";', { highlight: 'php', 'syntax-base': '../src' });
+    await wait(100);
+    ACode.syntaxLoader = null;
+    el.remove();
+    return requested.includes('php') && !!ACode.getSyntax('php');
+  }, true);
+
+  test("syntaxLoader is not asked for syntax URLs", async () => {
+    const requested = [];
+    ACode.syntaxLoader = async name => { requested.push(name); };
+    const tokens = await tokenize('def f(x):', './syntax.python.js?loader-test');
+    ACode.syntaxLoader = null;
+    return { found: tokens.length > 0, requested };
+  }, { found: true, requested: [] });
+
+  test("A syntax is loaded once for each base directory", async () => {
+    const requested = [];
+    ACode.syntaxLoader = async name => { requested.push(name); return { tokens: { keyword: ['foo'] } }; };
+    await tokenize('foo', 'base-test', { base: '/one/' });
+    await tokenize('foo', 'base-test', { base: '/two/' });
+    await tokenize('foo', 'base-test', { base: '/one/' });
+    ACode.syntaxLoader = null;
+    return requested.length;
+  }, 2);
+
+  test("syntaxBase reflects the syntax-base attribute", async () => {
+    const el = await createFixture('code');
+    el.syntaxBase = '/assets/syntax/';
+    const attr = el.getAttribute('syntax-base');
+    el.syntaxBase = null;
+    const removed = el.hasAttribute('syntax-base');
+    el.remove();
+    return { attr, removed };
+  }, { attr: '/assets/syntax/', removed: false });
+
+  cleanup();
+});
+
+group("Language Detection", () => {
+  test("highlight='auto' detects JavaScript and fires language-detected", async () => {
+    const el = document.createElement('a-code');
+    el.setAttribute('highlight', 'auto');
+    el.textContent = 'import x from "./y.js";\nexport const sum = (a, b) => a + b;';
+    let detail = null;
+    el.addEventListener('language-detected', event => detail = event.detail);
+    document.body.append(el);
+    await wait(300);
+    const language = el.detectedLanguage;
+    el.remove();
+    return { language, detail };
+  }, { language: 'javascript', detail: { language: 'javascript' } });
+
+  test("highlight='auto' detects Python", async () => {
+    const el = await createFixture('def greet(name):\n\tif name:\n\t\tprint(name)', { highlight: 'auto' });
+    await wait(300);
+    const language = el.detectedLanguage;
+    el.remove();
+    return language;
+  }, 'python');
+
+  test("Only the bundled syntaxes whose telltale patterns match are loaded", async () => {
+    const requested = [];
+    ACode.syntaxLoader = async name => { requested.push(name); return { tokens: { keyword: ['def', 'if'] } }; };
+    const { language } = await detectSyntax('def greet(name):\n\tif name:\n\t\tprint(name)', '/detect-test/');
+    ACode.syntaxLoader = null;
+    return { language, requested: requested.filter(name => name !== 'python') };
+  }, { language: 'python', requested: [] });
+
+  test("detectedLanguage is cleared when a language is set", async () => {
+    const el = await createFixture('<p>Hello</p>', { highlight: 'auto' });
+    await wait(300);
+    el.highlight = 'javascript';
+    const language = el.detectedLanguage;
+    el.remove();
+    return language;
+  }, null);
+
+  cleanup();
+});
+
+group("Token Inspection", () => {
+  const inspectSyntax = { tokens: { string: /"[^"]*"/g, keyword: ['let', 'return'], number: /\d+/g } };
+  ACode.registerSyntax('inspect-test', inspectSyntax);
+
+  test("getTokens() lists tokens with their text and position", async () => {
+    const el = await createFixture('let a = "x";\nreturn 42;', { highlight: 'inspect-test' });
+    await wait(50);
+    const tokens = el.getTokens();
+    el.remove();
+    return tokens;
+  }, [
+    { type: 'keyword', start: 0, end: 3, text: 'let', line: 1, column: 0 },
+    { type: 'string', start: 8, end: 11, text: '"x"', line: 1, column: 8 },
+    { type: 'keyword', start: 13, end: 19, text: 'return', line: 2, column: 0 },
+    { type: 'number', start: 20, end: 22, text: '42', line: 2, column: 7 },
+  ]);
+
+  test("getTokens() reports lines as numbered in the gutter", async () => {
+    const el = await createFixture('let a;\nlet b;', { highlight: 'inspect-test', 'line-start': 10 });
+    await wait(50);
+    const lines = el.getTokens().map(token => token.line);
+    el.remove();
+    return lines;
+  }, [10, 11]);
+
+  test("tokenAt() accepts an offset or a line and column", async () => {
+    const el = await createFixture('let a = "x";\nreturn 42;', { highlight: 'inspect-test' });
+    await wait(50);
+    const byOffset = el.tokenAt(9)?.text;
+    const byPosition = el.tokenAt({ line: 2, column: 8 })?.text;
+    const none = el.tokenAt(4);
+    el.remove();
+    return { byOffset, byPosition, none };
+  }, { byOffset: '"x"', byPosition: '42', none: null });
+
+  test("tokenAt() returns the later of overlapping tokens", async () => {
+    const el = await createFixture('x = 1 # def', { highlight: 'python' });
+    await wait(50);
+    const token = el.tokenAt(9);
+    el.remove();
+    return token;
+  }, { type: 'comment', start: 6, end: 11, text: '# def', line: 1, column: 6 });
+
+  test("'highlighted' event reports token counts", async () => {
+    const el = document.createElement('a-code');
+    el.setAttribute('highlight', 'inspect-test');
+    el.textContent = 'let a = 1;\nlet b = 2;';
+    let detail = null;
+    el.addEventListener('highlighted', event => detail = event.detail);
+    document.body.append(el);
+    await wait(50);
+    el.remove();
+    return detail;
+  }, { counts: { keyword: 2, number: 2 }, total: 4 });
+
+  cleanup();
+});
+
+group("Standalone Tokenizer", () => {
+  test("tokenize() returns token spans for a definitions object", async () => {
+    return await tokenize('if "if"', { tokens: { string: /"[^"]*"/g, keyword: ['if'] } });
+  }, [{ type: 'keyword', start: 0, end: 2 }, { type: 'string', start: 3, end: 7 }]);
+
+  test("tokenize() loads syntaxes by name and alias", async () => {
+    const tokens = await tokenize('const a = 1;', 'js');
+    return tokens.map(token => token.type);
+  }, ['keyword', 'operator', 'number']);
+
+  test("Function rules may return [start, end] pairs", async () => {
+    const tokens = await tokenize('def add(a, b):', 'python');
+    return tokens.filter(token => token.type === 'argument').map(({ start, end }) => [start, end]);
+  }, [[8, 9], [11, 12]]);
+
+  test("a-code.js re-exports tokenize()", exportedTokenize === tokenize, true);
+
+  cleanup();
+});
+
+group("Worker Mode", () => {
+  test("'worker' attribute reflects to the property", async () => {
+    const el = await createFixture('let a = 1;', { highlight: 'javascript', worker: '' });
+    const on = el.worker;
+    el.worker = false;
+    const off = el.hasAttribute('worker');
+    el.remove();
+    return { on, off };
+  }, { on: true, off: false });
+
+  test("Worker mode finds the same tokens as the main thread", async () => {
+    const code = 'const a = `x${b}`; // done';
+    const el = await createFixture(code, { highlight: 'javascript', worker: '' });
+    await wait(300);
+    const tokens = el.getTokens().map(({ type, start, end }) => ({ type, start, end }));
+    el.remove();
+    return JSON.stringify(tokens) === JSON.stringify(await tokenize(code, 'javascript'));
+  }, true);
+
+  test("Definition objects are tokenized on the main thread", async () => {
+    const el = await createFixture('if x', { highlight: 'worker-object-test', worker: '' });
+    el.highlighter.destroy();
+    el.highlighter = new Highlighter(el, { tokens: { keyword: ['if'] } }, 'default', 'worker-test', { worker: true });
+    const tokens = await el.highlighter.highlight(el.shadowRoot.querySelector('#content').firstChild);
+    el.remove();
+    return tokens;
+  }, [{ type: 'keyword', start: 0, end: 2 }]);
+
+  test("Syntaxes registered on the page are tokenized without asking the Worker", async () => {
+    ACode.registerSyntax('worker-registered', { tokens: { keyword: ['foo'] } });
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args);
+    const el = await createFixture('foo bar', { highlight: 'worker-registered', worker: '' });
+    await wait(300);
+    console.warn = warn;
+    const tokens = el.getTokens().map(({ type, text }) => [type, text]);
+    const result = { tokens, worker: el.worker, warnings: warnings.length };
+    el.remove();
+    return result;
+  }, { tokens: [['keyword', 'foo']], worker: true, warnings: 0 });
+
+  test("Only the newest of several quick edits is applied", async () => {
+    const el = await createFixture('let a;', { highlight: 'javascript', worker: '' });
+    const node = el.shadowRoot.querySelector('#content').firstChild;
+    const first = el.highlighter.highlight(node);
+    node.textContent = 'let a; let b;';
+    const second = el.highlighter.highlight(node);
+    const results = await Promise.all([first, second]);
+    el.remove();
+    return results.map(tokens => tokens?.length ?? null);
+  }, [null, 2]);
+
+  test("packTokens() and unpackTokens() round-trip tokens", () => {
+    const tokens = [{ type: 'keyword', start: 0, end: 2 }, { type: 'string', start: 3, end: 7 }, { type: 'keyword', start: 8, end: 10 }];
+    const packed = packTokens(tokens);
+    return { types: packed.types, tokens: unpackTokens(packed) };
+  }, { types: ['keyword', 'string'], tokens: [{ type: 'keyword', start: 0, end: 2 }, { type: 'string', start: 3, end: 7 }, { type: 'keyword', start: 8, end: 10 }] });
+
+  cleanup();
+});
+
+group("Incremental Highlighting", () => {
+  // A grammar, so the scan can restart from a checkpoint near the edit
+  const grammar = '../extra/syntax.grammar.example.js';
+
+  /**
+   * Returns the ranges of an element's highlight for one token type.
+   */
+  function rangesOf(el, type) {
+    for (const [name, highlight] of CSS.highlights) {
+      if (!name.startsWith(`${type}-`)) continue;
+      const ranges = [...highlight];
+      if (ranges.some(range => el.shadowRoot.contains(range.startContainer))) return ranges;
+    }
+    return [];
+  }
+
+  test("retokenize() reports the changed tokens as a splice", async () => {
+    const before = await retokenize(null, 'let a;\nlet b;\nlet c;', grammar);
+    const after = await retokenize(before, 'let a;\nvar b;\nlet c;', grammar);
+    return { first: after.first, removed: after.removed, added: after.added };
+  }, { first: 1, removed: 1, added: 1 });
+
+  test("retokenize() follows edits that change later lines", async () => {
+    const before = await retokenize(null, 'let a;\nlet b;\nlet c;', grammar);
+    const after = await retokenize(before, 'let a = `\nlet b;\nlet c;', grammar);
+    return after.tokens;
+  }, [
+    { type: 'keyword', start: 0, end: 3 },
+    { type: 'operator', start: 6, end: 7 },
+    { type: 'string', start: 8, end: 23 },
+  ]);
+
+  test("Changing value keeps the ranges of unchanged lines", async () => {
+    const el = await createFixture('const a = 1;\nlet b = 2;', { highlight: grammar });
+    await wait(50);
+    const [before] = rangesOf(el, 'keyword');
+    el.value = 'const a = 1;\nlet b = 2;\nvar c = 3;';
+    await wait(100);
+    const after = rangesOf(el, 'keyword');
+    const result = { kept: after.includes(before), keywords: after.map(range => range.toString()).sort() };
+    el.remove();
+    return result;
+  }, { kept: true, keywords: ['const', 'let', 'var'] });
+
+  test("Highlights follow an edit that spans lines", async () => {
+    const el = await createFixture('let a;\nlet b;\nlet c;', { highlight: grammar });
+    await wait(50);
+    el.value = 'let a = `\nlet b;\nlet c;';
+    await wait(100);
+    const result = {
+      keywords: rangesOf(el, 'keyword').map(range => range.toString()),
+      strings: rangesOf(el, 'string').map(range => range.toString()),
+    };
+    el.remove();
+    return result;
+  }, { keywords: ['let'], strings: ['`\nlet b;\nlet c;'] });
+
+  cleanup();
+});
+
+group("Virtual Rendering", () => {
+  const code = Array.from({ length: 5000 }, (_, i) => `let v${i} = ${i};`).join('\n');
+
+  test("virtual attribute reflects to the property", async () => {
+    const el = await createFixture('let a;', { virtual: '' });
+    const before = el.virtual;
+    el.virtual = false;
+    const result = [before, el.virtual, el.hasAttribute('virtual')];
+    el.remove();
+    return result;
+  }, [true, false, false]);
+
+  test("Only the lines near the viewport are rendered", async () => {
+    const el = await createFixture(code, { virtual: '' });
+    const content = el.shadowRoot.querySelector('#content');
+    const lines = content.textContent.split('\n');
+    const result = { first: lines[0], partial: lines.length < 5000, tall: content.scrollHeight > 4000 * 10 };
+    el.remove();
+    return result;
+  }, { first: 'let v0 = 0;', partial: true, tall: true });
+
+  test("Scrolling renders the lines and line numbers further down", async () => {
+    const el = await createFixture(code, { virtual: '', 'line-numbers': '' });
+    const content = el.shadowRoot.querySelector('#content');
+    content.scrollTop = content.scrollHeight / 2;
+    content.dispatchEvent(new Event('scroll'));
+    await wait(20);
+    const numbers = el.shadowRoot.querySelector('#line-numbers').textContent;
+    const result = {
+      middle: content.textContent.includes('let v2500 = 2500;'),
+      top: content.textContent.includes('let v0 = 0;'),
+      numbered: numbers.includes('2501'),
+    };
+    el.remove();
+    return result;
+  }, { middle: true, top: false, numbered: true });
+
+  test("getTokens() covers the whole text while only rendered lines are highlighted", async () => {
+    const el = await createFixture(code, { virtual: '', highlight: 'javascript' });
+    await wait(200);
+    const keywords = el.getTokens().filter(token => token.type === 'keyword').length;
+    const name = [...CSS.highlights.keys()].find(key => key.startsWith('keyword-')
+      && [...CSS.highlights.get(key)].some(range => el.shadowRoot.contains(range.startContainer)));
+    const ranges = CSS.highlights.get(name)?.size ?? 0;
+    el.remove();
+    return { keywords, partial: ranges > 0 && ranges < 5000 };
+  }, { keywords: 5000, partial: true });
+
+  test("Layered syntaxes are highlighted in the rendered lines", async () => {
+    const python = Array.from({ length: 500 }, (_, i) => `def f${i}(a, b=1):\n    return "x" + a  # note ${i}`).join('\n');
+    const el = await createFixture(python, { virtual: '', highlight: 'python' });
+    await wait(200);
+    const drawn = type => [...CSS.highlights].some(([name, highlight]) => name.startsWith(`${type}-`)
+      && [...highlight].some(range => el.shadowRoot.contains(range.startContainer)));
+    const result = ['keyword', 'function', 'argument', 'string', 'comment', 'number'].filter(drawn);
+    el.remove();
+    return result;
+  }, ['keyword', 'function', 'argument', 'string', 'comment', 'number']);
+
+  test("Ctrl+A and copy take the whole text", async () => {
+    const el = await createFixture(code, { virtual: '' });
+    const content = el.shadowRoot.querySelector('#content');
+    content.focus();
+    content.dispatchEvent(new KeyboardEvent('keydown', { key: 'a', ctrlKey: true, bubbles: true, cancelable: true }));
+    const event = new ClipboardEvent('copy', { clipboardData: new DataTransfer(), bubbles: true, cancelable: true });
+    content.dispatchEvent(event);
+    const copied = event.clipboardData.getData('text/plain');
+    el.remove();
+    return copied === code;
+  }, true);
+
+  test("Editing renders every line", async () => {
+    const el = await createFixture(code, { virtual: '' });
+    el.edit = true;
+    await wait(50);
+    const lines = el.shadowRoot.querySelector('#content').textContent.split('\n').length;
+    el.remove();
+    return lines;
+  }, 5000);
+
+  cleanup();
+});
+
+group("Lazy Highlighting", () => {
+  test("lazy attribute reflects to the property", async () => {
+    const el = await createFixture('let a;', { lazy: 'release' });
+    const before = el.lazy;
+    el.lazy = true;
+    const result = [before, el.lazy, el.getAttribute('lazy')];
+    el.remove();
+    return result;
+  }, ['release', true, '']);
+
+  test("An element far below the viewport is not highlighted", async () => {
+    const el = await createFixture('let a;', { highlight: 'javascript', lazy: '', style: 'margin-top: 300vh' });
+    const result = el.highlighter;
+    el.remove();
+    return result;
+  }, null);
+
+  test("Scrolling near the element highlights it", async () => {
+    const el = await createFixture('let a;', { highlight: 'javascript', lazy: '', style: 'margin-top: 300vh' });
+    el.scrollIntoView();
+    await wait(100);
+    const tokens = el.getTokens().map(token => token.text);
+    window.scrollTo(0, 0);
+    el.remove();
+    return tokens;
+  }, ['let']);
+
+  test("lazy=release drops highlights once the element is far away", async () => {
+    const el = await createFixture('let a;', { highlight: 'javascript', lazy: 'release', style: 'position: fixed; top: 0' });
+    await wait(100);
+    const before = !!el.highlighter;
+    el.style.marginTop = '1000vh';
+    await wait(100);
+    const result = [before, el.highlighter];
+    el.remove();
+    return result;
+  }, [true, null]);
+
+  test("Removing lazy highlights right away", async () => {
+    const el = await createFixture('let a;', { highlight: 'javascript', lazy: '', style: 'margin-top: 300vh' });
+    el.lazy = false;
+    await wait(50);
+    const result = !!el.highlighter;
+    el.remove();
+    return result;
+  }, true);
+
+  cleanup();
+});
+
+group("Span Fallback", () => {
+  /**
+   * Creates a host whose shadow root holds a <pre> with the code, for a span-mode Highlighter.
+   */
+  function createHost(code) {
+    const host = document.createElement('div');
+    host.attachShadow({ mode: 'open' });
+    const pre = document.createElement('pre');
+    pre.textContent = code;
+    host.shadowRoot.append(pre);
+    document.body.append(host);
+    return { host, pre };
+  }
+
+  test("Tokens are wrapped in spans with a token part", async () => {
+    const { host, pre } = createHost('let a = "b";');
+    const highlighter = new Highlighter(host, 'javascript', 'default', undefined, { spans: true });
+    await highlighter.highlight(pre.firstChild);
+    const result = {
+      spans: [...pre.children].map(span => [span.getAttribute('part'), span.textContent]),
+      text: pre.textContent,
+    };
+    highlighter.destroy();
+    host.remove();
+    return result;
+  }, {
+    spans: [['token-keyword', 'let'], ['token-operator', '='], ['token-string', '"b"']],
+    text: 'let a = "b";',
+  });
+
+  test("Layered syntaxes keep all their tokens", async () => {
+    const { host, pre } = createHost('def f(x):\n    return x # done');
+    const highlighter = new Highlighter(host, 'python', 'default', undefined, { spans: true });
+    await highlighter.highlight(pre.firstChild);
+    const spans = [...pre.children].map(span => [span.getAttribute('part'), span.textContent]);
+    highlighter.destroy();
+    host.remove();
+    return spans;
+  }, [
+    ['token-keyword', 'def'], ['token-function', 'f'], ['token-argument', 'x'], ['token-operator', ':'],
+    ['token-keyword', 'return'], ['token-comment', '# done'],
+  ]);
+
+  test("Spans are colored from the palette", async () => {
+    const { host, pre } = createHost('let a;');
+    const highlighter = new Highlighter(host, 'javascript', new Map([['keyword', 'rgb(1, 2, 3)']]), undefined, { spans: true });
+    await highlighter.highlight(pre.firstChild);
+    const color = getComputedStyle(pre.querySelector('[part="token-keyword"]')).color;
+    highlighter.destroy();
+    host.remove();
+    return color;
+  }, 'rgb(1, 2, 3)');
+
+  test("Highlighting again re-wraps the changed code", async () => {
+    const { host, pre } = createHost('let a;');
+    const highlighter = new Highlighter(host, 'javascript', 'default', undefined, { spans: true });
+    await highlighter.highlight(pre.firstChild);
+    pre.textContent = 'var a;\nlet b;';
+    await highlighter.highlight(pre.firstChild);
+    const spans = [...pre.children].map(span => span.textContent);
+    highlighter.destroy();
+    host.remove();
+    return spans;
+  }, ['var', 'let']);
+
+  test("destroy() merges the spans back into one text node", async () => {
+    const { host, pre } = createHost('let a;');
+    const highlighter = new Highlighter(host, 'javascript', 'default', undefined, { spans: true });
+    await highlighter.highlight(pre.firstChild);
+    highlighter.destroy();
+    const result = [pre.childNodes.length, pre.firstChild.nodeType === Node.TEXT_NODE, pre.textContent];
+    host.remove();
+    return result;
+  }, [1, true, 'let a;']);
+
+  cleanup();
+});
+
+group("HTML Export", () => {
+  test("renderToHTML() wraps tokens in classed spans and escapes the code", async () => {
+    return await renderToHTML('let a = "<b>";', { syntax: 'javascript' });
+  }, '<pre class="a-code"><code><span class="token-keyword">let</span> a <span class="token-operator">=</span> <span class="token-string">"&lt;b&gt;"</span>;</code></pre>');
+
+  test("renderToHTML() can inline the palette colors", async () => {
+    return await renderToHTML('let a = 1;', { syntax: 'javascript', inlineStyles: true, palette: { keyword: 'purple', number: 'teal' } });
+  }, '<pre class="a-code"><code><span style="color: purple">let</span> a = <span style="color: teal">1</span>;</code></pre>');
+
+  test("renderToHTML() keeps the tokens of layered syntaxes", async () => {
+    return await renderToHTML('def f(x):\n    return x', { syntax: 'python' });
+  }, '<pre class="a-code"><code><span class="token-keyword">def</span> <span class="token-function">f</span>(<span class="token-argument">x</span>)<span class="token-operator">:</span>\n    <span class="token-keyword">return</span> x</code></pre>');
+
+  test("renderToHTML() settles overlapping tokens in favor of the later rule", async () => {
+    return await renderToHTML('<?php function foo($a) { return "x"; } ?>', { syntax: 'php' });
+  }, '<pre class="a-code"><code><span class="token-tag">&lt;?php</span> <span class="token-keyword">function</span> <span class="token-function">foo</span>(<span class="token-variable">$a</span>) { <span class="token-keyword">return</span> <span class="token-string">"x"</span>; } <span class="token-tag">?&gt;</span></code></pre>');
+
+  test("paletteToCSS() styles the class names", () => {
+    return paletteToCSS(new Map([['keyword', 'red']]));
+  }, '.a-code .token-keyword { color: red; }');
+
+  test("a-code.js exports renderToHTML", () => exportedRenderToHTML === renderToHTML, true);
+
+  test("toHTML() uses the element's syntax and palette", async () => {
+    const el = await createFixture('let a;', { highlight: 'javascript', palette: '[["keyword", "green"]]' });
+    const html = await el.toHTML({ inlineStyles: true });
+    el.remove();
+    return html;
+  }, '<pre class="a-code"><code><span style="color: green">let</span> a;</code></pre>');
+
+  test("toHTML() renders plain code when highlighting is off", async () => {
+    const el = await createFixture('a &lt; b');
+    const html = await el.toHTML();
+    el.remove();
+    return html;
+  }, '<pre class="a-code"><code>a &lt; b</code></pre>');
+
+  cleanup();
+});
+
+group("Declarative Shadow DOM", () => {
+  /**
+   * Parses server-rendered <a-code> markup with a declarative shadow root, without connecting it yet.
+   */
+  function parseFixture(html) {
+    const wrapper = document.createElement('div');
+    wrapper.setHTMLUnsafe(html);
+    return { wrapper, el: wrapper.firstElementChild };
+  }
+
+  test("The pre-rendered shadow tree is adopted, and missing parts filled in", async () => {
+    const { wrapper, el } = parseFixture('<a-code><template shadowrootmode="open"><pre id="content" part="content">let a;</pre></template>let a;</a-code>');
+    const content = el.shadowRoot.querySelector('#content');
+    document.body.append(wrapper);
+    await wait(50);
+    const result = {
+      kept: el.shadowRoot.querySelector('#content') === content,
+      copy: !!el.shadowRoot.querySelector('#copy'),
+      text: content.textContent,
+    };
+    wrapper.remove();
+    return result;
+  }, { kept: true, copy: true, text: 'let a;' });
+
+  test("Matching pre-rendered text is not rewritten", async () => {
+    const { wrapper, el } = parseFixture('<a-code highlight="javascript"><template shadowrootmode="open"><pre id="content" part="content">let a;</pre></template>let a;</a-code>');
+    const content = el.shadowRoot.querySelector('#content');
+    const node = content.firstChild;
+    let mutations = 0;
+    new MutationObserver(records => mutations += records.length).observe(content, { childList: true, characterData: true, subtree: true });
+    document.body.append(wrapper);
+    await wait(100);
+    const result = { mutations, same: content.firstChild === node, tokens: el.getTokens().map(token => token.text) };
+    wrapper.remove();
+    return result;
+  }, { mutations: 0, same: true, tokens: ['let'] });
+
+  test("Pre-rendered token spans stay until the highlights replace them", async () => {
+    const { wrapper, el } = parseFixture('<a-code highlight="javascript"><template shadowrootmode="open"><pre id="content" part="content"><span style="color: deeppink">let</span> a;</pre></template>let a;</a-code>');
+    const content = el.shadowRoot.querySelector('#content');
+    document.body.append(wrapper);
+    const before = content.children.length;
+    await wait(100);
+    const highlighted = [...CSS.highlights].some(([name, highlight]) => name.startsWith('keyword-')
+      && [...highlight].some(range => range.startContainer === content.firstChild));
+    const result = { before, after: content.childNodes.length, text: content.textContent, highlighted };
+    wrapper.remove();
+    return result;
+  }, { before: 1, after: 1, text: 'let a;', highlighted: true });
+
+  test("Pre-rendered spans are merged when nothing is highlighted", async () => {
+    const { wrapper, el } = parseFixture('<a-code><template shadowrootmode="open"><pre id="content" part="content"><span>let</span> a;</pre></template>let a;</a-code>');
+    document.body.append(wrapper);
+    await wait(50);
+    const content = el.shadowRoot.querySelector('#content');
+    const result = [content.childNodes.length, content.textContent];
+    wrapper.remove();
+    return result;
+  }, [1, 'let a;']);
+
+  cleanup();
+});
+
 // Run the suite
 runner.run();